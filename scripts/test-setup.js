@@ -24,13 +24,20 @@ async function testSetup() {
 
     // Display configuration (masked)
     console.log('\n2. Configuration summary:');
-    console.log(`   📂 Repository: ${config.github.repoOwner}/${config.github.repoName}`);
+    console.log(`   📂 Default Repository: ${config.github.repoOwner && config.github.repoName ? `${config.github.repoOwner}/${config.github.repoName}` : 'None (pass owner/repo#number)'}`);
+    console.log(`   ✅ Repository Allowlist: ${config.github.repoAllowlist.length > 0 ? config.github.repoAllowlist.join(', ') : 'All repositories'}`);
     console.log(`   🔑 GitHub Token: ${'*'.repeat(10)}${config.github.token?.slice(-4) || 'NOT SET'}`);
-    console.log(`   🏢 Atlassian Domain: ${config.confluence.domain}`);
-    console.log(`   📧 Atlassian Email: ${config.confluence.email}`);
+    if (config.confluence.enabled) {
+      console.log(`   🏢 Confluence URL: ${config.confluence.baseUrl}`);
+      console.log(`   🧭 Confluence API: ${config.confluence.apiFlavor}`);
+      console.log(`   📧 Confluence Auth: ${config.confluence.personalAccessToken ? 'Personal access token (Bearer)' : `API token for ${config.confluence.email}`}`);
+    } else {
+      console.log('   🏢 Confluence: disabled (repository design documents only)');
+    }
+    console.log(`   🎫 Jira: ${config.jira.enabled ? config.jira.baseUrl : 'disabled'}`);
+    console.log(`   🧩 LLM Provider: ${config.llm.provider}`);
     console.log(`   🤖 LLM Model: ${config.llm.model}`);
     console.log(`   🔗 LLM Base URL: ${config.llm.baseUrl}`);
-    console.log(`   🔵 Azure Mode: ${config.llm.isAzure ? 'Yes' : 'No'}`);
     if (config.llm.isAzure) {
       console.log(`   📦 Deployment: ${config.llm.deploymentName || 'Using model name'}`);
       console.log(`   📅 API Version: ${config.llm.apiVersion}`);
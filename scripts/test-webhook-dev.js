@@ -44,7 +44,9 @@ async function testWebhookDev() {
         body: 'This is a test PR without design document URL'
       },
       repository: {
-        full_name: 'test/repo'
+        full_name: 'test/repo',
+        name: 'repo',
+        owner: { login: 'test' }
       }
     };
 
@@ -65,7 +67,9 @@ async function testWebhookDev() {
         body: 'This is a test PR with design document.\n\nconfluence_design_document_url: https://sayhisam07.atlassian.net/wiki/spaces/TEST/pages/123456/Sample+Design+Doc'
       },
       repository: {
-        full_name: 'test/repo'
+        full_name: 'test/repo',
+        name: 'repo',
+        owner: { login: 'test' }
       }
     };
 
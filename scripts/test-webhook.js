@@ -65,7 +65,9 @@ async function testWebhook() {
         body: 'This is a test PR without design document URL'
       },
       repository: {
-        full_name: 'test/repo'
+        full_name: 'test/repo',
+        name: 'repo',
+        owner: { login: 'test' }
       }
     };
 
@@ -84,6 +86,38 @@ async function testWebhook() {
     });
     console.log('   ✅ PR webhook (no design doc) passed:', prResponse.data);
 
+    // Test 4: Comment on an issue (ignored - commands only run on PRs)
+    console.log('\n4. Testing issue comment webhook (not a PR)...');
+    const commentPayload = {
+      action: 'created',
+      issue: { number: 998 },
+      comment: {
+        id: 1,
+        body: '/design-review rerun',
+        user: { login: 'octocat', type: 'User' }
+      },
+      repository: {
+        full_name: 'test/repo',
+        name: 'repo',
+        owner: { login: 'test' }
+      }
+    };
+
+    const commentSignature = generateWebhookSignature(commentPayload, config.webhook.secret);
+    const commentHeaders = {
+      'X-GitHub-Event': 'issue_comment',
+      'Content-Type': 'application/json'
+    };
+
+    if (commentSignature) {
+      commentHeaders['X-Hub-Signature-256'] = commentSignature;
+    }
+
+    const commentResponse = await axios.post(`${baseUrl}${config.webhook.path}`, commentPayload, {
+      headers: commentHeaders
+    });
+    console.log('   ✅ Issue comment webhook (not a PR) passed:', commentResponse.data);
+
     console.log('\n🎉 All webhook tests passed!');
     console.log('\n💡 Next steps:');
     console.log('   1. Start webhook server: npm run webhook');
@@ -1,33 +1,219 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
 
 // Load environment variables from .env file
 dotenv.config();
 
+/**
+ * Split a comma-separated environment variable into a list
+ * @param {string} value - The raw environment value
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an integer environment variable
+ * @param {string} value - The raw environment value
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @returns {number} The parsed integer
+ */
+function parseInteger(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? defaultValue : parsed;
+}
+
+// Base URL of each LLM provider when neither LLM_BASE_URL nor OPENAI_BASE_URL is set
+const DEFAULT_LLM_BASE_URLS = {
+  openai: 'https://api.openai.com/v1',
+  responses: 'https://api.openai.com/v1',
+  anthropic: 'https://api.anthropic.com',
+  ollama: 'http://localhost:11434/v1'
+};
+
+/**
+ * Pick the LLM provider from OPENAI_BASE_URL when LLM_PROVIDER is not set, as earlier
+ * versions did: cognitiveservices.azure.com hosts the Responses API, other Azure hosts deployments
+ * @param {string} baseUrl - OPENAI_BASE_URL
+ * @returns {string} Provider name
+ */
+function detectLLMProvider(baseUrl = '') {
+  if (baseUrl.includes('cognitiveservices.azure.com')) {
+    return 'responses';
+  }
+  return baseUrl.includes('azure.com') ? 'azure' : 'openai';
+}
+
+// Providers that read OPENAI_BASE_URL; an OpenAI endpoint left in the environment must not redirect the others
+const OPENAI_BASE_URL_PROVIDERS = ['openai', 'azure', 'responses'];
+
+const llmProvider = process.env.LLM_PROVIDER || detectLLMProvider(process.env.OPENAI_BASE_URL);
+const llmBaseUrl = process.env.LLM_BASE_URL ||
+  (OPENAI_BASE_URL_PROVIDERS.includes(llmProvider) ? process.env.OPENAI_BASE_URL : null) ||
+  DEFAULT_LLM_BASE_URLS[llmProvider] || '';
+
+// GitHub App private key; undefined until loadPrivateKey first reads it
+let privateKey;
+
+/**
+ * Load the GitHub App private key from GITHUB_APP_PRIVATE_KEY (PEM, "\n" escapes allowed)
+ * or from the file named by GITHUB_APP_PRIVATE_KEY_PATH. The file is read on first use rather
+ * than on import, so a bad path does not break commands that need no key (such as --help);
+ * validateConfig reports it.
+ * @returns {string|null} The PEM encoded private key
+ * @throws {Error} When the key file cannot be read
+ */
+function loadPrivateKey() {
+  if (privateKey === undefined) {
+    if (process.env.GITHUB_APP_PRIVATE_KEY) {
+      privateKey = process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+    } else if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+      privateKey = fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+    } else {
+      privateKey = null;
+    }
+  }
+  return privateKey;
+}
+
 /**
  * Configuration object containing all application settings
  */
 export const config = {
   github: {
     token: process.env.GITHUB_TOKEN,
+    // Set to https://<host>/api/v3 for GitHub Enterprise Server
+    apiUrl: (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, ''),
+    // GitHub App authentication (used instead of GITHUB_TOKEN when GITHUB_APP_ID is set)
+    appId: process.env.GITHUB_APP_ID || null,
+    get privateKey() {
+      return loadPrivateKey();
+    },
+    installationId: process.env.GITHUB_APP_INSTALLATION_ID || null,
     repoOwner: process.env.GITHUB_REPO_OWNER,
-    repoName: process.env.GITHUB_REPO_NAME
+    repoName: process.env.GITHUB_REPO_NAME,
+    // Comma-separated "owner/repo" or "owner/*" entries; empty allows every repository
+    repoAllowlist: parseList(process.env.GITHUB_REPO_ALLOWLIST),
+    // How results are published on the head commit: 'check-run', 'status' or 'none'
+    checkMode: process.env.GITHUB_CHECK_MODE || 'check-run',
+    checkName: process.env.GITHUB_CHECK_NAME || 'Design Review',
+    // How PR changes are fetched: 'auto', 'diff' (single .diff) or 'files' (paginated files API)
+    diffMode: process.env.GITHUB_DIFF_MODE || 'auto',
+    // Total patch size sent for review; files beyond it are listed as not reviewed
+    maxDiffChars: parseInteger(process.env.MAX_DIFF_CHARS, 120000),
+    // Verdict labels kept on reviewed PRs; an empty name skips that verdict's label
+    labels: {
+      enabled: process.env.DESIGN_LABELS !== 'false',
+      aligned: process.env.DESIGN_LABEL_ALIGNED ?? 'design:aligned',
+      drift: process.env.DESIGN_LABEL_DRIFT ?? 'design:drift',
+      missingDoc: process.env.DESIGN_LABEL_MISSING_DOC ?? 'design:missing-doc',
+      failed: process.env.DESIGN_LABEL_REVIEW_FAILED ?? 'design:review-failed'
+    },
+    retry: {
+      maxRetries: parseInteger(process.env.GITHUB_MAX_RETRIES, 3),
+      baseDelayMs: parseInteger(process.env.GITHUB_RETRY_BASE_DELAY_MS, 1000),
+      maxDelayMs: parseInteger(process.env.GITHUB_RETRY_MAX_DELAY_MS, 30000),
+      // Longest wait for a rate limit reset before giving up on the request
+      maxRateLimitWaitMs: parseInteger(process.env.GITHUB_MAX_RATE_LIMIT_WAIT_MS, 15 * 60 * 1000),
+      // Retries allowed across all GitHub requests within the budget window
+      budget: parseInteger(process.env.GITHUB_RETRY_BUDGET, 30),
+      budgetWindowMs: parseInteger(process.env.GITHUB_RETRY_BUDGET_WINDOW_MS, 10 * 60 * 1000)
+    }
   },
   
   confluence: {
+    // Without a Confluence site only repository-hosted design documents can be reviewed against
+    enabled: Boolean(process.env.CONFLUENCE_BASE_URL || process.env.ATLASSIAN_DOMAIN),
     apiToken: process.env.ATLASSIAN_API_TOKEN,
     domain: process.env.ATLASSIAN_DOMAIN,
-    email: process.env.ATLASSIAN_EMAIL
+    email: process.env.ATLASSIAN_EMAIL,
+    // Personal access token for Confluence Server / Data Center, sent as a Bearer token
+    personalAccessToken: process.env.ATLASSIAN_PAT || null,
+    // Site root; defaults to https://<ATLASSIAN_DOMAIN>/wiki (Cloud). Server / Data Center
+    // sites use their own root, e.g. https://confluence.example.com or https://example.com/confluence
+    baseUrl: (process.env.CONFLUENCE_BASE_URL ||
+      (process.env.ATLASSIAN_DOMAIN ? `https://${process.env.ATLASSIAN_DOMAIN}/wiki` : '')).replace(/\/$/, ''),
+    // 'cloud' (REST API v2), 'server' (Server / Data Center REST API v1) or 'auto'
+    apiFlavor: process.env.CONFLUENCE_API_FLAVOR || 'auto',
+    // Design documents linked in one PR description that are reviewed against
+    maxDocuments: parseInteger(process.env.MAX_DESIGN_DOCUMENTS, 5),
+    // Included, excerpted, child and linked pages are followed this many levels deep (0 = linked page only)
+    followDepth: parseInteger(process.env.CONFLUENCE_FOLLOW_DEPTH, 2),
+    maxPages: parseInteger(process.env.CONFLUENCE_MAX_PAGES, 10),
+    followChildren: process.env.CONFLUENCE_FOLLOW_CHILDREN !== 'false',
+    followLinks: process.env.CONFLUENCE_FOLLOW_LINKS !== 'false',
+    // Spec and schema attachments (OpenAPI, JSON Schema, .proto, .sql, ...) read as design inputs
+    attachments: {
+      enabled: process.env.CONFLUENCE_ATTACHMENTS !== 'false',
+      maxCount: parseInteger(process.env.CONFLUENCE_MAX_ATTACHMENTS, 10),
+      maxBytes: parseInteger(process.env.CONFLUENCE_ATTACHMENT_MAX_BYTES, 100000)
+    }
   },
   
+  documents: {
+    // Markdown files read when a PR references a repository directory such as adr/
+    maxRepositoryFiles: parseInteger(process.env.DESIGN_DOC_MAX_FILES, 10)
+  },
+
+  jira: {
+    enabled: process.env.JIRA_ENABLED === 'true',
+    // Jira site root; defaults to https://<ATLASSIAN_DOMAIN> (Cloud)
+    baseUrl: (process.env.JIRA_BASE_URL ||
+      (process.env.ATLASSIAN_DOMAIN ? `https://${process.env.ATLASSIAN_DOMAIN}` : '')).replace(/\/$/, ''),
+    // Server / Data Center personal access token; otherwise ATLASSIAN_EMAIL + ATLASSIAN_API_TOKEN are used
+    personalAccessToken: process.env.JIRA_PAT || null,
+    // Only keys of these projects are looked up (comma-separated); all projects when empty
+    projectKeys: parseList(process.env.JIRA_PROJECT_KEYS).map(key => key.toUpperCase()),
+    // Custom field holding acceptance criteria, e.g. customfield_10035; found by name when unset
+    acceptanceCriteriaField: process.env.JIRA_ACCEPTANCE_CRITERIA_FIELD || null,
+    maxIssues: parseInteger(process.env.JIRA_MAX_ISSUES, 3)
+  },
+
   llm: {
+    // openai (chat completions), azure (Azure OpenAI deployments), responses (Responses API on
+    // OpenAI or Azure), anthropic (Messages API) or ollama (Ollama / OpenAI-compatible local server)
+    provider: llmProvider,
     openaiApiKey: process.env.OPENAI_API_KEY,
-    model: process.env.LLM_MODEL || 'gpt-4',
-    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+    // Anthropic and local models have no sensible default, so LLM_MODEL is required for them
+    model: process.env.LLM_MODEL || (['anthropic', 'ollama'].includes(llmProvider) ? null : 'gpt-4'),
+    baseUrl: llmBaseUrl,
     apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview',
     deploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || null,
-    isAzure: process.env.OPENAI_BASE_URL?.includes('azure.com') || false
+    isAzure: llmBaseUrl.includes('azure.com'),
+    // Context window in tokens; known models default to their own, others to 8192
+    contextTokens: parseInteger(process.env.LLM_CONTEXT_TOKENS, null),
+    // Completion tokens reserved for a review, before the allowance per requirement
+    maxOutputTokens: parseInteger(process.env.LLM_MAX_OUTPUT_TOKENS, 1500),
+    // Parts a PR that does not fit into the context is reviewed in, at most
+    maxChunks: parseInteger(process.env.LLM_MAX_CHUNKS, 8)
   },
   
+  // HTTP(S)_PROXY and NO_PROXY are read from the environment by the shared HTTP agent
+  network: {
+    caBundlePath: process.env.CA_BUNDLE_PATH || null
+  },
+
+  review: {
+    // Review only the commits pushed since the last review
+    incremental: process.env.INCREMENTAL_REVIEW !== 'false',
+    // Minimum repository role for /design-review commands: triage, write, maintain or admin
+    commandPermission: process.env.COMMAND_PERMISSION || 'write'
+  },
+
+  requirements: {
+    // Pull individual requirements out of the design and show a traceability checklist
+    enabled: process.env.REQUIREMENTS_CHECKLIST !== 'false',
+    maxCount: parseInteger(process.env.REQUIREMENTS_MAX, 25)
+  },
+
+  prompts: {
+    // Repositories can override the prompt templates with files in this directory on their default branch
+    repositoryOverrides: process.env.PROMPT_REPO_OVERRIDES !== 'false',
+    directory: (process.env.PROMPT_TEMPLATE_DIR || '.github/design-review').replace(/^\/+|\/+$/g, '')
+  },
+
   app: {
     logLevel: process.env.LOG_LEVEL || 'info'
   },
@@ -42,18 +228,48 @@ export const config = {
 
 /**
  * Validates that all required configuration values are present
- * @throws {Error} If any required configuration is missing
+ * @throws {Error} If any required configuration is missing, or the GitHub App private key file cannot be read
  */
 export function validateConfig() {
+  if (config.github.appId) {
+    try {
+      loadPrivateKey();
+    } catch (error) {
+      throw new Error(`Cannot read the GitHub App private key from GITHUB_APP_PRIVATE_KEY_PATH (${process.env.GITHUB_APP_PRIVATE_KEY_PATH}): ${error.message}`);
+    }
+  }
+
   const requiredFields = [
-    { path: 'github.token', name: 'GITHUB_TOKEN' },
-    { path: 'github.repoOwner', name: 'GITHUB_REPO_OWNER' },
-    { path: 'github.repoName', name: 'GITHUB_REPO_NAME' },
-    { path: 'confluence.apiToken', name: 'ATLASSIAN_API_TOKEN' },
-    { path: 'confluence.domain', name: 'ATLASSIAN_DOMAIN' },
-    { path: 'confluence.email', name: 'ATLASSIAN_EMAIL' },
-    { path: 'llm.openaiApiKey', name: 'OPENAI_API_KEY' }
-    // Note: OPENAI_BASE_URL is optional with a default value
+    // GitHub App credentials replace the personal access token
+    ...(config.github.appId
+      ? [{ path: 'github.privateKey', name: 'GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH' }]
+      : [{ path: 'github.token', name: 'GITHUB_TOKEN' }]),
+    // Confluence is optional when all design documents live in repositories;
+    // a Server / Data Center personal access token replaces the email and API token
+    ...(!config.confluence.enabled || config.confluence.personalAccessToken
+      ? []
+      : [
+        { path: 'confluence.apiToken', name: 'ATLASSIAN_API_TOKEN' },
+        { path: 'confluence.email', name: 'ATLASSIAN_EMAIL' }
+      ]),
+    ...(config.jira.enabled ? [{ path: 'jira.baseUrl', name: 'ATLASSIAN_DOMAIN or JIRA_BASE_URL' }] : []),
+    // Jira without its own personal access token uses the Atlassian email and API token
+    // (unless Confluence requires them already)
+    ...(config.jira.enabled && !config.jira.personalAccessToken &&
+      (!config.confluence.enabled || config.confluence.personalAccessToken)
+      ? [
+        { path: 'confluence.apiToken', name: 'ATLASSIAN_API_TOKEN' },
+        { path: 'confluence.email', name: 'ATLASSIAN_EMAIL' }
+      ]
+      : []),
+    // Local servers need no key; Azure deployments need the resource URL
+    ...(config.llm.provider === 'anthropic' ? [{ path: 'llm.anthropicApiKey', name: 'ANTHROPIC_API_KEY' }] : []),
+    ...(['openai', 'azure', 'responses'].includes(config.llm.provider) ? [{ path: 'llm.openaiApiKey', name: 'OPENAI_API_KEY' }] : []),
+    ...(config.llm.provider === 'azure' ? [{ path: 'llm.baseUrl', name: 'OPENAI_BASE_URL' }] : []),
+    { path: 'llm.model', name: 'LLM_MODEL' }
+    // Note: LLM_BASE_URL / OPENAI_BASE_URL is optional with a default per provider
+    // Note: GITHUB_REPO_OWNER/GITHUB_REPO_NAME are optional - they are the default
+    // repository for CLI reviews given as a plain PR number
   ];
 
   const missingFields = requiredFields.filter(field => {
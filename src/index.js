@@ -3,6 +3,7 @@
 import { PRReviewer } from './pr-reviewer.js';
 import { validateConfig } from './config/index.js';
 import { logger } from './utils/logger.js';
+import { parsePullRequestRef, formatRepo } from './utils/repo-ref.js';
 
 /**
  * Main application entry point
@@ -16,18 +17,19 @@ async function main() {
     validateConfig();
     logger.info('Configuration validated successfully');
 
-    // Get PR number from command line arguments
-    const prNumber = process.argv[2];
+    // Get PR reference from command line arguments
+    const prArg = process.argv[2];
     
-    if (!prNumber) {
-      logger.error('Usage: npm start <PR_NUMBER>');
+    if (!prArg) {
+      logger.error('Usage: npm start <PR_NUMBER|OWNER/REPO#PR_NUMBER>');
       logger.error('Example: npm start 123');
+      logger.error('Example: npm start my-org/my-repo#123');
       process.exit(1);
     }
 
-    const prNum = parseInt(prNumber, 10);
-    if (isNaN(prNum) || prNum <= 0) {
-      logger.error('Invalid PR number. Please provide a valid positive integer.');
+    const pullRequest = parsePullRequestRef(prArg);
+    if (!pullRequest) {
+      logger.error('Invalid PR reference. Use a positive PR number (with GITHUB_REPO_OWNER/GITHUB_REPO_NAME set) or owner/repo#number.');
       process.exit(1);
     }
 
@@ -35,13 +37,13 @@ async function main() {
     reviewer = new PRReviewer();
     await reviewer.initialize();
 
-    logger.info(`Starting review for PR #${prNum}...`);
-    const result = await reviewer.reviewPR(prNum);
+    logger.info(`Starting review for ${formatRepo(pullRequest.repoRef)}#${pullRequest.prNumber}...`);
+    const result = await reviewer.reviewPR(pullRequest.prNumber, pullRequest.repoRef);
 
     if (result.success) {
       logger.info('✅ Review completed successfully!');
-      logger.info(`Review posted to PR #${result.prNumber}`);
-      logger.info(`Design document: ${result.designDocUrl}`);
+      logger.info(`Review posted to ${result.repo}#${result.prNumber}`);
+      logger.info(`Design document(s): ${result.designDocUrls.join(', ')}`);
     } else {
       logger.warn('⚠️ Review completed with warnings:', result.message);
     }
@@ -68,19 +70,20 @@ async function reviewMultiple() {
   try {
     validateConfig();
     
-    const prNumbers = process.argv.slice(3).map(num => parseInt(num, 10));
+    const pullRequests = process.argv.slice(3).map(arg => parsePullRequestRef(arg));
     
-    if (prNumbers.length === 0 || prNumbers.some(num => isNaN(num) || num <= 0)) {
-      logger.error('Usage: npm start multiple <PR_NUMBER1> <PR_NUMBER2> ...');
-      logger.error('Example: npm start multiple 123 124 125');
+    if (pullRequests.length === 0 || pullRequests.some(pr => !pr)) {
+      logger.error('Usage: npm start multiple <PR_REF1> <PR_REF2> ...');
+      logger.error('Example: npm start multiple 123 124 my-org/other-repo#125');
       process.exit(1);
     }
 
     reviewer = new PRReviewer();
     await reviewer.initialize();
 
-    logger.info(`Starting review for ${prNumbers.length} PRs: ${prNumbers.join(', ')}`);
-    const results = await reviewer.reviewMultiplePRs(prNumbers);
+    const labels = pullRequests.map(pr => `${formatRepo(pr.repoRef)}#${pr.prNumber}`);
+    logger.info(`Starting review for ${pullRequests.length} PRs: ${labels.join(', ')}`);
+    const results = await reviewer.reviewMultiplePRs(pullRequests);
 
     // Summary
     const successful = results.filter(r => r.success).length;
@@ -94,7 +97,7 @@ async function reviewMultiple() {
     if (failed > 0) {
       logger.warn('\n❌ Failed reviews:');
       results.filter(r => !r.success).forEach(r => {
-        logger.warn(`  PR #${r.prNumber}: ${r.error || r.message}`);
+        logger.warn(`  ${r.repo}#${r.prNumber}: ${r.error || r.message}`);
       });
     }
 
@@ -118,26 +121,68 @@ if (command === 'multiple') {
 PR Design Review Bot
 
 Usage:
-  npm start <PR_NUMBER>                    Review a single PR
+  npm start <PR_NUMBER>                    Review a PR in the default repository
+  npm start <OWNER/REPO#PR_NUMBER>         Review a PR in any repository
   npm start multiple <PR1> <PR2> ...       Review multiple PRs
   npm start --help                         Show this help
 
 Examples:
   npm start 123                            Review PR #123
+  npm start my-org/api#42                  Review PR #42 in my-org/api
   npm start multiple 123 124 125           Review PRs #123, #124, and #125
 
 Environment Variables Required:
   GITHUB_TOKEN              GitHub personal access token
-  GITHUB_REPO_OWNER          Repository owner
-  GITHUB_REPO_NAME           Repository name
+                             (or GITHUB_APP_ID + GITHUB_APP_PRIVATE_KEY[_PATH] for GitHub App auth)
   ATLASSIAN_API_TOKEN        Atlassian API token
   ATLASSIAN_DOMAIN           Your Atlassian domain (e.g., company.atlassian.net)
   ATLASSIAN_EMAIL            Your Atlassian email
-  OPENAI_API_KEY             OpenAI API key for LLM analysis
+                             (or CONFLUENCE_BASE_URL + ATLASSIAN_PAT for Confluence Server / Data Center)
+  OPENAI_API_KEY             OpenAI / Azure OpenAI API key for LLM analysis
+                             (ANTHROPIC_API_KEY with LLM_PROVIDER=anthropic; none for ollama)
   
 Optional:
-  LLM_MODEL                  LLM model to use (default: gpt-4)
+  GITHUB_REPO_OWNER          Default repository owner for plain PR numbers
+  GITHUB_REPO_NAME           Default repository name for plain PR numbers
+  GITHUB_APP_INSTALLATION_ID Installation used for CLI runs with GitHub App auth
+  GITHUB_API_URL             GitHub API URL (default: https://api.github.com; GHES: https://<host>/api/v3)
+  HTTPS_PROXY / NO_PROXY     Proxy settings applied to GitHub, Confluence and LLM requests
+  CA_BUNDLE_PATH             Extra CA certificates (PEM) trusted for all outbound requests
+  GITHUB_REPO_ALLOWLIST      Comma-separated owner/repo or owner/* entries the webhook may review
+  LLM_PROVIDER               openai, azure, responses, anthropic or ollama (default: detected from OPENAI_BASE_URL)
+  LLM_MODEL                  LLM model to use (default: gpt-4; required for anthropic and ollama)
+  LLM_BASE_URL               LLM endpoint of any provider, overrides OPENAI_BASE_URL (default: the provider's public API)
+  LLM_CONTEXT_TOKENS         Context window of the model (default: known per model, otherwise 8192)
+  LLM_MAX_OUTPUT_TOKENS      Completion tokens for a review (default: 1500, plus 60 per requirement)
+  LLM_MAX_CHUNKS             Parts a PR too large for the context is reviewed in, at most (default: 8)
   LOG_LEVEL                  Log level (default: info)
+  GITHUB_CHECK_MODE          check-run, status or none (default: check-run)
+  GITHUB_CHECK_NAME          Name of the check run (default: Design Review)
+  GITHUB_DIFF_MODE           auto, diff or files - how PR changes are fetched (default: auto)
+  MAX_DIFF_CHARS             Total diff size sent for review (default: 120000)
+  INCREMENTAL_REVIEW         Review only commits pushed since the last review (default: true)
+  COMMAND_PERMISSION         Minimum repository role for /design-review commands (default: write)
+  REQUIREMENTS_CHECKLIST     Show a requirements traceability checklist (default: true)
+  REQUIREMENTS_MAX           Requirements listed per review (default: 25)
+  PROMPT_TEMPLATE_DIR        Directory with a repository's prompt templates (default: .github/design-review)
+  PROMPT_REPO_OVERRIDES      Let repositories override the prompt templates (default: true)
+  CONFLUENCE_API_FLAVOR      auto, cloud or server (default: auto)
+  MAX_DESIGN_DOCUMENTS       Design documents reviewed against per PR (default: 5)
+  DESIGN_DOC_MAX_FILES       Files read from a repository design document directory (default: 10)
+  JIRA_ENABLED               Read Jira issues referenced by the PR (default: false)
+  JIRA_BASE_URL / JIRA_PAT   Jira site and personal access token (default: ATLASSIAN_DOMAIN and Atlassian credentials)
+  JIRA_PROJECT_KEYS          Comma-separated projects whose issue keys are looked up and trigger reviews (default: all, no trigger)
+  JIRA_ACCEPTANCE_CRITERIA_FIELD  Custom field with acceptance criteria (default: found by name)
+  JIRA_MAX_ISSUES            Jira issues read per PR (default: 3)
+  CONFLUENCE_FOLLOW_DEPTH    Levels of included, child and linked pages to read (default: 2)
+  CONFLUENCE_MAX_PAGES       Pages read per design document (default: 10)
+  CONFLUENCE_FOLLOW_CHILDREN Read child pages of the design document (default: true)
+  CONFLUENCE_FOLLOW_LINKS    Read pages linked from the design document (default: true)
+  CONFLUENCE_ATTACHMENTS     Read spec and schema attachments of the design pages (default: true)
+  CONFLUENCE_MAX_ATTACHMENTS Attachments read per design document (default: 10)
+  CONFLUENCE_ATTACHMENT_MAX_BYTES  Size limit per attachment (default: 100000)
+  DESIGN_LABELS              Keep a design:* verdict label on reviewed PRs (default: true)
+  DESIGN_LABEL_<VERDICT>     Label names for ALIGNED, DRIFT, MISSING_DOC and REVIEW_FAILED
 `);
 } else {
   main();
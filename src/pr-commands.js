@@ -0,0 +1,132 @@
+import { logger } from './utils/logger.js';
+import { config } from './config/index.js';
+import { formatRepo } from './utils/repo-ref.js';
+import {
+  COMMAND_PREFIX,
+  COMMAND_REPLY_MARKER,
+  parseSlashCommand,
+  hasRequiredRole,
+  formatCommandHelp
+} from './utils/slash-command.js';
+
+/**
+ * Handles `/design-review` commands posted as PR comments
+ */
+export class PRCommandHandler {
+  /**
+   * @param {PRReviewer} prReviewer - Initialized reviewer used to run the commands
+   */
+  constructor(prReviewer) {
+    this.prReviewer = prReviewer;
+    this.githubService = prReviewer.githubService;
+  }
+
+  /**
+   * Run the command in a PR comment, if it has one
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {Object} comment - The issue comment from the webhook payload
+   * @returns {Object} Outcome ({ handled, command, message })
+   */
+  async handleComment(repoRef, prNumber, comment) {
+    const command = parseSlashCommand(comment.body);
+    if (!command) {
+      return { handled: false, message: 'Comment has no design review command' };
+    }
+
+    const user = comment.user?.login;
+    const prLabel = `${formatRepo(repoRef)}#${prNumber}`;
+    logger.info(`Command "${command.name}" from ${user} on ${prLabel}`);
+
+    const role = await this.githubService.getCollaboratorPermission(repoRef, user);
+    if (!hasRequiredRole(role, config.review.commandPermission)) {
+      logger.warn(`${user} (${role}) may not run design review commands on ${prLabel} - ${config.review.commandPermission} access is required`);
+      await this.react(repoRef, comment.id, '-1');
+      return { handled: false, command: command.name, message: `${user} lacks ${config.review.commandPermission} access` };
+    }
+
+    await this.react(repoRef, comment.id, 'eyes');
+
+    try {
+      const message = await this.runCommand(repoRef, prNumber, command, user);
+      await this.react(repoRef, comment.id, 'rocket');
+      return { handled: true, command: command.name, message };
+    } catch (error) {
+      logger.error(`Command "${command.name}" failed on ${prLabel}:`, error);
+      await this.react(repoRef, comment.id, 'confused');
+      // A failed review (rerun, doc) has already posted its error in the summary comment
+      if (!error.reportedOnPullRequest) {
+        await this.reply(repoRef, prNumber, `⚠️ \`${COMMAND_PREFIX} ${command.name}\` failed: ${error.message}`);
+      }
+      return { handled: true, command: command.name, message: error.message, error: true };
+    }
+  }
+
+  /**
+   * Run a parsed command
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {Object} command - Parsed command ({ name, args, error })
+   * @param {string} user - Login of the commenter
+   * @returns {string} Outcome message
+   */
+  async runCommand(repoRef, prNumber, command, user) {
+    switch (command.name) {
+      case 'rerun':
+        await this.prReviewer.reviewPR(prNumber, repoRef);
+        return 'Design review re-run';
+
+      case 'doc': {
+        const url = command.args[0].replace(/^<|>$/g, '').replace(/^`|`$/g, '');
+        // Any reference a document provider reads: a Confluence page, a GitHub file URL or a repository path
+        if (!this.prReviewer.documentProviders.supports(url)) {
+          throw new Error(`\`${url}\` is not a design document this bot can read - use a Confluence page URL (with Confluence configured), a GitHub file URL or a repository path such as docs/design/auth.md`);
+        }
+        await this.prReviewer.reviewPR(prNumber, repoRef, { designDocUrl: url });
+        return `Design document set to ${url}`;
+      }
+
+      case 'ignore':
+        await this.prReviewer.ignoreFinding(repoRef, prNumber, command.args[0], user);
+        return `Finding ${command.args[0]} ignored`;
+
+      case 'explain':
+        await this.prReviewer.explainFindings(repoRef, prNumber, command.args[0] || null);
+        return 'Explanation posted';
+
+      default: {
+        const intro = command.error ? `${command.error}. ` : '';
+        await this.reply(repoRef, prNumber, `${intro}Available design review commands:\n\n${formatCommandHelp()}`);
+        return 'Help posted';
+      }
+    }
+  }
+
+  /**
+   * Add a reaction, without failing the command if GitHub refuses it
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} commentId - The comment ID
+   * @param {string} content - Reaction
+   */
+  async react(repoRef, commentId, content) {
+    try {
+      await this.githubService.addCommentReaction(repoRef, commentId, content);
+    } catch (error) {
+      logger.warn(`Could not add the ${content} reaction to comment ${commentId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reply to a command with a PR comment
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {string} body - Reply text
+   */
+  async reply(repoRef, prNumber, body) {
+    try {
+      await this.githubService.addPullRequestComment(repoRef, prNumber, `${COMMAND_REPLY_MARKER}\n${body}`);
+    } catch (error) {
+      logger.warn(`Could not reply to the command on PR #${prNumber}: ${error.message}`);
+    }
+  }
+}
@@ -1,7 +1,27 @@
 import { GitHubService } from './services/github.js';
 import { ConfluenceService } from './services/confluence.js';
+import { JiraService } from './services/jira.js';
+import { DocumentProviderRegistry } from './services/document-providers/index.js';
 import { LLMService } from './services/llm.js';
+import { PromptTemplateService } from './services/prompt-templates.js';
+import { CheckReporter, determineConclusion } from './services/checks.js';
+import { LabelManager, determineVerdict } from './services/labels.js';
 import { logger } from './utils/logger.js';
+import { findDiffLine } from './utils/diff-parser.js';
+import { buildStickyComment, parseStickyComment, wrapFindingsSection, replaceFindingsSection } from './utils/sticky-comment.js';
+import { mergeFindings, keepFindings, createReviewState, ignoreFinding, REVIEW_STATE_VERSION } from './utils/review-state.js';
+import { config } from './config/index.js';
+import { COMMAND_REPLY_MARKER } from './utils/slash-command.js';
+import { getDefaultRepo, formatRepo } from './utils/repo-ref.js';
+import { describePageSource } from './utils/page-references.js';
+import { applyTraceability, carryOverTraceability, formatTraceabilityChecklist } from './utils/requirements.js';
+import { listTemplateVersions } from './utils/prompt-template.js';
+
+const SEVERITY_ICONS = {
+  critical: '❌',
+  warning: '⚠️',
+  info: '💡'
+};
 
 /**
  * Main PR reviewer orchestrator that coordinates all services
@@ -9,8 +29,16 @@ import { logger } from './utils/logger.js';
 export class PRReviewer {
   constructor() {
     this.githubService = new GitHubService();
-    this.confluenceService = new ConfluenceService();
+    this.confluenceService = config.confluence.enabled ? new ConfluenceService() : null;
+    this.jiraService = config.jira.enabled ? new JiraService() : null;
+    this.documentProviders = new DocumentProviderRegistry({
+      githubService: this.githubService,
+      confluenceService: this.confluenceService
+    });
     this.llmService = new LLMService();
+    this.promptTemplates = new PromptTemplateService(this.githubService);
+    this.checkReporter = new CheckReporter(this.githubService);
+    this.labelManager = new LabelManager(this.githubService);
   }
 
   /**
@@ -22,7 +50,8 @@ export class PRReviewer {
       
       await Promise.all([
         this.githubService.initialize(),
-        this.confluenceService.initialize()
+        this.confluenceService?.initialize(),
+        this.jiraService?.initialize()
       ]);
       
       logger.info('All services initialized successfully');
@@ -36,83 +65,655 @@ export class PRReviewer {
   /**
    * Main method to review a PR against its design document
    * @param {number} prNumber - The pull request number to review
+   * @param {Object} repoRef - Repository reference ({ owner, repo }); defaults to the configured repository
+   * @param {Object} options - Review options
+   * @param {string} options.designDocUrl - Design document to review against instead of the linked one
    * @returns {Object} Review result
+   * @throws {Error} When the review fails; reportedOnPullRequest is set once the error comment is posted
    */
-  async reviewPR(prNumber) {
+  async reviewPR(prNumber, repoRef = getDefaultRepo(), { designDocUrl = null } = {}) {
+    let check = null;
+    const prLabel = `${formatRepo(repoRef)}#${prNumber}`;
+
     try {
-      logger.info(`Starting PR review for PR #${prNumber}...`);
+      if (!repoRef) {
+        throw new Error('No repository given and GITHUB_REPO_OWNER/GITHUB_REPO_NAME are not configured');
+      }
+
+      logger.info(`Starting PR review for ${prLabel}...`);
       
-      // Step 1: Get PR details and changes
+      // Step 1: Get PR details and changes (only those since the last review, when there was one)
       logger.info('Step 1: Fetching PR details and code changes...');
-      const prData = await this.githubService.getPullRequestDetails(prNumber);
+      const previousState = await this.getPreviousReviewState(repoRef, prNumber);
+      const prData = await this.githubService.getPullRequestDetails(repoRef, prNumber, {
+        sinceSha: config.review.incremental ? previousState?.headSha : null
+      });
       
       if (!prData.pr) {
-        throw new Error(`Could not fetch PR #${prNumber}`);
+        throw new Error(`Could not fetch PR ${prLabel}`);
+      }
+      if (prData.incremental) {
+        logger.info(`Reviewing ${prData.incremental.commits} commit(s) pushed since the last review`);
+        const changedPaths = new Set(prData.parsedDiff.map(file => file.path));
+        // Findings about the PR as a whole have no path and are always up for re-evaluation
+        prData.previousFindings = previousState.findings.filter(f => f.status === 'open' && (!f.path || changedPaths.has(f.path)));
       }
 
-      // Step 2: Extract confluence design document URL
-      logger.info('Step 2: Extracting design document URL from PR description...');
-      const confluenceUrl = this.githubService.extractConfluenceUrl(prData.pr.body || '');
+      check = await this.checkReporter.start(repoRef, prData.pr.head?.sha);
+
+      // Step 2: Extract design document URLs or repository paths (unless set with `/design-review doc`)
+      logger.info('Step 2: Extracting design document URLs from PR description...');
+      const docOverride = designDocUrl || previousState?.docOverride || null;
+      let designDocUrls = docOverride ? [docOverride] : this.githubService.extractDesignDocumentUrls(prData.pr.body || '', {
+        isReference: reference => this.documentProviders.supports(reference)
+      });
+
+      // Issues referenced in the title, branch or description add acceptance criteria, and their
+      // Confluence links stand in for a design document the description does not link
+      const { issues, failures: issueFailures } = this.jiraService
+        ? await this.jiraService.getIssuesForPullRequest(prData.pr)
+        : { issues: [], failures: [] };
+      if (designDocUrls.length === 0 && issues.length > 0) {
+        designDocUrls = [...new Set(issues.flatMap(issue => issue.designDocUrls))].slice(0, config.confluence.maxDocuments);
+        if (designDocUrls.length > 0) {
+          logger.info(`Using the design document(s) linked from Jira issue(s) ${issues.map(issue => issue.key).join(', ')}`);
+        }
+      }
       
-      if (!confluenceUrl) {
-        const message = 'No confluence design document URL found in PR description. Please add confluence_design_document_url to the PR description.';
+      if (designDocUrls.length === 0) {
+        const issueNote = issues.length > 0 ? ` The referenced Jira issue(s) ${issues.map(issue => issue.key).join(', ')} link no Confluence page either.` : '';
+        const failureNote = issueFailures.length > 0 ? ` Jira issue(s) ${issueFailures.map(failure => failure.key).join(', ')} could not be read.` : '';
+        const message = `No design document found in PR description. Please add confluence_design_document_url (a Confluence page) or design_doc_path (a file or directory in this repository) to the PR description.${issueNote}${failureNote}`;
         logger.warn(message);
         
         // Still post a comment to inform the user
-        await this.githubService.addPullRequestComment(prNumber, `## ⚠️ Missing Design Document\n\n${message}`);
+        const missingDocComment = await this.publishSummaryComment(repoRef, prNumber, `## ⚠️ Missing Design Document\n\n${message}`);
+        await this.checkReporter.complete(check, {
+          conclusion: 'neutral',
+          title: 'No design document linked',
+          summary: message,
+          detailsUrl: missingDocComment?.html_url
+        });
+        await this.labelManager.applyVerdict(repoRef, prNumber, 'missingDoc');
         
         return {
           success: false,
           message: message,
+          repo: formatRepo(repoRef),
           prNumber
         };
       }
 
-      // Step 3: Get confluence page content
-      logger.info('Step 3: Fetching design document content from Confluence...');
-      const designDoc = await this.confluenceService.getPageContent(confluenceUrl);
-      
-      if (!designDoc.content) {
-        throw new Error('Could not fetch design document content from Confluence');
-      }
+      // Step 3: Get the design documents; those in this repository are read from the base branch
+      logger.info(`Step 3: Fetching ${designDocUrls.length} design document(s)...`);
+      const designDoc = await this.loadDesignDocuments(designDocUrls, { repoRef, baseRef: prData.pr.base?.ref });
+      designDoc.issues = issues;
+      designDoc.issueFailures = issueFailures;
+      // The repository's own prompt templates, read from its default branch
+      const templates = await this.promptTemplates.load(repoRef);
 
-      // Extract text content from confluence page
-      designDoc.textContent = this.confluenceService.extractTextContent(designDoc);
+      // Edits to the design since the last review can change the verdict; diff them so that is visible
+      const docVersions = designDoc.documents.flatMap(doc => this.documentProviders.listVersions(doc));
+      designDoc.changes = [];
+      for (const doc of designDoc.documents) {
+        designDoc.changes.push(...await this.documentProviders.getChanges(doc, previousState?.docVersions));
+      }
+      designDoc.requirements = config.requirements.enabled
+        ? await this.loadRequirements(designDoc, previousState, designDocUrls, templates)
+        : [];
 
       // Step 4: Analyze with LLM
       logger.info('Step 4: Analyzing PR changes against design document...');
-      const analysis = await this.llmService.analyzeChanges(prData, designDoc);
+      const review = await this.llmService.analyzeChanges(prData, designDoc, { templates });
+      if (review.skippedFiles?.length) {
+        // Parts beyond LLM_MAX_CHUNKS were not reviewed; list their files with the ones left out of the diff
+        const skippedFiles = [...prData.coverage.skippedFiles, ...review.skippedFiles];
+        prData.coverage = {
+          ...prData.coverage,
+          reviewedFiles: prData.coverage.reviewedFiles - review.skippedFiles.filter(file => !file.partial).length,
+          skippedFiles,
+          partial: true
+        };
+      }
+
+      // Step 5: Anchor findings to diff lines and submit the review
+      logger.info('Step 5: Submitting review to PR...');
+      // An unreadable review says nothing about the earlier findings and requirements, so they are
+      // kept as they were instead of being resolved by an empty result
+      const requirements = review.invalid
+        ? designDoc.requirements
+        : applyTraceability(designDoc.requirements, review.traces, {
+          headSha: prData.pr.head?.sha,
+          incremental: Boolean(prData.incremental)
+        });
+      const merged = review.invalid
+        ? keepFindings(previousState?.findings)
+        : mergeFindings(previousState?.findings, review.findings, {
+          headSha: prData.pr.head?.sha,
+          incremental: Boolean(prData.incremental),
+          resolvedIds: review.resolvedIds,
+          unreviewedPaths: (prData.coverage?.skippedFiles || []).map(file => file.path)
+        });
+      // Findings that were already open have been posted before
+      const findings = merged.added.filter(f => !f.repeated);
+      const openFindings = [...merged.added, ...merged.carried];
+      const { comments, anchored } = this.buildInlineComments(findings, prData.parsedDiff);
+
+      const notices = [
+        prData.incremental ? this.formatIncrementalNotice(prData.incremental) : null,
+        prData.coverage?.partial ? this.formatCoverageNotice(prData.coverage) : null,
+        this.formatDocVersionNotice(designDoc),
+        this.formatDesignContextNotice(designDoc),
+        review.invalid ? '> ⚠️ **Unstructured review:** the LLM response could not be read as structured findings. It is shown as is; the findings of earlier reviews are kept, and the next review covers these commits again.' : null
+      ].filter(Boolean);
+      const checklist = formatTraceabilityChecklist(requirements, { prUrl: prData.pr.html_url });
+      const reviewBody = [...notices, review.summary, checklist].filter(Boolean).join('\n\n');
+      const inlinePosted = await this.submitInlineComments(repoRef, prNumber, prData, comments);
+      const inlineIds = new Set(inlinePosted ? anchored.map(f => f.id) : []);
+      const allFindings = merged.all.map(f => (inlineIds.has(f.id) ? { ...f, inline: true } : f));
+      const state = createReviewState(
+        // Without a readable review these commits were not reviewed; the next run starts from the last reviewed commit
+        review.invalid ? previousState?.headSha || null : prData.pr.head?.sha,
+        allFindings,
+        {
+          designDocUrl: designDocUrls[0],
+          designDocUrls,
+          docOverride,
+          docVersions,
+          requirements,
+          promptTemplates: listTemplateVersions(templates)
+        }
+      );
 
-      // Step 5: Format and post review comment
-      logger.info('Step 5: Posting review comment to PR...');
-      const formattedComment = this.llmService.formatAsGitHubComment(analysis, confluenceUrl);
-      await this.githubService.addPullRequestComment(prNumber, formattedComment);
+      // The findings sections are wrapped in markers so `/design-review ignore` can re-render them.
+      // They list the findings in full; the state keeps a shortened copy
+      const findingsSection = this.renderFindingsSections({ ...state, findings: allFindings });
+      const formattedComment = this.llmService.formatAsGitHubComment(review, {
+        documents: designDoc.documents,
+        issues,
+        notices,
+        sections: [checklist, wrapFindingsSection(findingsSection)],
+        templates
+      });
+      const summaryComment = await this.publishSummaryComment(repoRef, prNumber, formattedComment, state);
 
-      logger.info(`PR review completed successfully for PR #${prNumber}`);
+      // Step 6: Publish the verdict on the head commit, counting the findings that are still open
+      const conclusion = review.invalid ? 'neutral' : determineConclusion(openFindings);
+      await this.checkReporter.complete(check, {
+        conclusion,
+        title: review.invalid ? 'Review could not be read' : this.describeConclusion(conclusion, openFindings),
+        summary: findingsSection ? `${reviewBody}\n\n${findingsSection}` : reviewBody,
+        // Annotations must reference lines in the PR, so only anchored findings qualify
+        findings: anchored,
+        detailsUrl: summaryComment?.html_url
+      });
+      const verdict = review.invalid ? 'failed' : determineVerdict(openFindings);
+      await this.labelManager.applyVerdict(repoRef, prNumber, verdict);
+
+      logger.info(`PR review completed successfully for ${prLabel}`);
       
       return {
         success: true,
+        repo: formatRepo(repoRef),
         prNumber,
-        designDocUrl: confluenceUrl,
-        analysis,
+        designDocUrl: designDocUrls[0],
+        designDocUrls,
+        issueKeys: issues.map(issue => issue.key),
+        docVersion: designDoc.documents[0].content.version?.number || null,
+        docChanges: designDoc.changes.map(({ diff, ...change }) => change),
+        requirements,
+        promptTemplates: state.promptTemplates,
+        review: { summary: review.summary, findings: review.findings, invalid: review.invalid },
+        findings: openFindings,
+        resolvedFindings: merged.resolved,
+        incremental: Boolean(prData.incremental),
+        conclusion,
+        verdict,
         message: 'PR review completed and comment posted successfully'
       };
 
     } catch (error) {
-      logger.error(`Failed to review PR #${prNumber}:`, error);
+      logger.error(`Failed to review PR ${prLabel}:`, error);
       
       // Try to post an error comment to the PR
-      try {
-        const errorComment = `## ❌ Review Failed\n\nFailed to complete the design document review due to an error:\n\n\`\`\`\n${error.message}\n\`\`\`\n\nPlease check the configuration and try again.`;
-        await this.githubService.addPullRequestComment(prNumber, errorComment);
-      } catch (commentError) {
-        logger.error('Failed to post error comment to PR:', commentError);
+      if (repoRef) {
+        try {
+          const errorComment = `## ❌ Review Failed\n\nFailed to complete the design document review due to an error:\n\n\`\`\`\n${error.message}\n\`\`\`\n\nPlease check the configuration and try again.`;
+          await this.publishSummaryComment(repoRef, prNumber, errorComment);
+          // Callers such as `/design-review rerun` need not report it on the PR again
+          error.reportedOnPullRequest = true;
+        } catch (commentError) {
+          logger.error('Failed to post error comment to PR:', commentError);
+        }
+      }
+
+      await this.checkReporter.complete(check, {
+        conclusion: 'failure',
+        title: 'Design review failed',
+        summary: `The design review could not be completed:\n\n\`\`\`\n${error.message}\n\`\`\``
+      });
+      if (repoRef) {
+        await this.labelManager.applyVerdict(repoRef, prNumber, 'failed');
       }
       
       throw error;
     }
   }
 
+  /**
+   * Get the requirements of the design context. They are only extracted again when the design
+   * changed, so synthesized IDs stay the same from one review to the next.
+   * @param {Object} designDoc - Design context
+   * @param {Object|null} previousState - Stored review state
+   * @param {string[]} designDocUrls - Design documents the PR is reviewed against
+   * @param {Object} templates - Prompt templates of the repository
+   * @returns {Object[]} Requirements, with the status of the last review where it still applies
+   */
+  async loadRequirements(designDoc, previousState, designDocUrls, templates) {
+    const previous = previousState?.requirements || [];
+    const sameDocuments = (previousState?.designDocUrls || []).join('\n') === designDocUrls.join('\n');
+    if (previous.length > 0 && sameDocuments && designDoc.changes.length === 0) {
+      logger.info(`Reusing the ${previous.length} requirement(s) extracted by the last review`);
+      return previous;
+    }
+
+    try {
+      const requirements = await this.llmService.extractRequirements(designDoc, { templates });
+      return carryOverTraceability(requirements, previous);
+    } catch (error) {
+      // The checklist is an addition to the review; the review goes on without it
+      logger.warn(`Could not extract requirements - reviewing without the traceability checklist: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Map findings onto lines GitHub accepts review comments on
+   * @param {Object[]} findings - Findings extracted from the analysis
+   * @param {Object[]} parsedDiff - Files parsed from the PR diff
+   * @returns {Object} Review comments and the findings that could not be anchored
+   */
+  buildInlineComments(findings, parsedDiff = []) {
+    const comments = [];
+    const anchored = [];
+    const unanchored = [];
+
+    for (const finding of findings) {
+      const diffLine = findDiffLine(parsedDiff, finding.path, finding.line);
+      if (diffLine) {
+        comments.push({
+          path: diffLine.path,
+          line: diffLine.newLine,
+          side: 'RIGHT',
+          body: this.formatFinding(finding)
+        });
+        anchored.push({ ...finding, path: diffLine.path });
+      } else {
+        logger.debug(`Finding at ${finding.path}:${finding.line} is outside the diff - keeping it in the summary`);
+        unanchored.push(finding);
+      }
+    }
+
+    return { comments, anchored, unanchored };
+  }
+
+  /**
+   * Build the one-line title shown on the check for a conclusion
+   * @param {string} conclusion - Check conclusion
+   * @param {Object[]} findings - Review findings
+   * @returns {string} Check title
+   */
+  describeConclusion(conclusion, findings) {
+    const critical = findings.filter(f => f.severity === 'critical').length;
+    const warnings = findings.filter(f => f.severity === 'warning').length;
+
+    if (conclusion === 'failure') {
+      return `${critical} critical design issue(s) found`;
+    }
+    if (conclusion === 'neutral') {
+      return `Design drift: ${warnings} warning(s)`;
+    }
+    return 'Aligned with design document';
+  }
+
+  /**
+   * Render a single finding as markdown
+   * @param {Object} finding - The finding to render
+   * @param {boolean} includeLocation - Whether to prefix the file and line
+   * @returns {string} Markdown for the finding
+   */
+  formatFinding(finding, includeLocation = false) {
+    const icon = SEVERITY_ICONS[finding.severity] || SEVERITY_ICONS.info;
+    const location = includeLocation && finding.path ? `\`${formatLocation(finding)}\` ` : '';
+    const tags = [finding.category !== 'other' ? finding.category : null, finding.requirement].filter(Boolean);
+    const details = tags.length > 0 ? ` <sub>${tags.join(' · ')}</sub>` : '';
+    const id = finding.id ? ` <sub>ID: \`${finding.id}\`</sub>` : '';
+    // List items continue on an indented line; inline comments get a paragraph of their own
+    const suggestion = finding.suggestion ? `${includeLocation ? '\n  ' : '\n\n'}💡 ${finding.suggestion}` : '';
+    return `${includeLocation ? '- ' : ''}${icon} ${location}${finding.message}${details}${id}${suggestion}`;
+  }
+
+  /**
+   * Submit the inline comments as a pull request review
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {Object} prData - PR details and diff
+   * @param {Object[]} comments - Inline review comments
+   * @returns {boolean} Whether the comments were posted (false if GitHub rejected them)
+   */
+  async submitInlineComments(repoRef, prNumber, prData, comments) {
+    if (comments.length === 0) {
+      return true;
+    }
+
+    try {
+      await this.githubService.createPullRequestReview(repoRef, prNumber, {
+        commitId: prData.pr.head?.sha,
+        body: `🔍 ${comments.length} inline design review finding(s). See the design review comment on this PR for the summary.`,
+        comments
+      });
+      return true;
+    } catch (error) {
+      if (error.response?.status !== 422) {
+        throw error;
+      }
+      logger.warn('GitHub rejected the inline review comments - listing the findings in the summary comment instead');
+      return false;
+    }
+  }
+
+  /**
+   * Describe which files a partial review left out
+   * @param {Object} coverage - Coverage details from getPullRequestDetails
+   * @returns {string} Markdown notice
+   */
+  formatCoverageNotice(coverage) {
+    let notice = `> ⚠️ **Partially reviewed:** this PR is too large to review completely. ${coverage.reviewedFiles} of ${coverage.totalFiles} changed files were included in the review.`;
+
+    const lines = coverage.skippedFiles.map(file => `- \`${file.path}\` - ${file.reason}`);
+    if (coverage.unlistedFiles > 0) {
+      lines.push(`- ${coverage.unlistedFiles} more file(s) beyond GitHub's file listing limit`);
+    }
+    if (lines.length > 0) {
+      notice += `\n\n<details>\n<summary>Files not reviewed</summary>\n\n${lines.join('\n')}\n\n</details>`;
+    }
+    return notice;
+  }
+
+  /**
+   * Fetch the design documents and combine them into one design context, labeled DOC-1, DOC-2, ...
+   * @param {string[]} urls - Design document URLs or repository paths
+   * @param {Object} context - PR context for repository documents ({ repoRef, baseRef })
+   * @returns {Object} Design context with the fields of a single design document (content, textContent,
+   *   pages, attachments, ...), plus the documents that were read and those that failed ({ label, url, message })
+   */
+  async loadDesignDocuments(urls, context) {
+    const documents = [];
+    const failures = [];
+
+    for (const [index, url] of urls.entries()) {
+      const label = `DOC-${index + 1}`;
+      try {
+        const doc = await this.documentProviders.load(url, context);
+        doc.label = label;
+        documents.push(doc);
+      } catch (error) {
+        // An unreadable document must not block the review against the others
+        if (urls.length === 1) {
+          throw error;
+        }
+        logger.warn(`Could not read design document ${label} (${url}): ${error.message}`);
+        failures.push({ label, url, message: error.message });
+      }
+    }
+
+    if (documents.length === 0) {
+      throw new Error(`None of the ${urls.length} design documents could be read: ${failures[0].message}`);
+    }
+    if (urls.length === 1) {
+      return { ...documents[0], documents, failures };
+    }
+
+    const withLabel = doc => item => ({ ...item, documentLabel: doc.label });
+    return {
+      documents,
+      failures,
+      content: { title: documents.map(doc => `[${doc.label}] ${doc.content.title}`).join('; ') },
+      textContent: documents
+        .map(doc => `# [${doc.label}] ${doc.content.title}\nSource: ${doc.url}\n\n${doc.textContent}`)
+        .join('\n\n'),
+      pages: documents.flatMap(doc => doc.pages.map(withLabel(doc))),
+      attachments: documents.flatMap(doc => doc.attachments.map(withLabel(doc))),
+      skippedAttachments: documents.flatMap(doc => doc.skippedAttachments.map(withLabel(doc)))
+    };
+  }
+
+  /**
+   * Build the notice about a design document that moved on: edits since the last review,
+   * or a pinned version that is no longer the latest
+   * @param {Object} designDoc - Design context with the changes from DocumentProviderRegistry.getChanges
+   * @returns {string} Markdown notice, or an empty string
+   */
+  formatDocVersionNotice(designDoc) {
+    const notices = [];
+
+    for (const doc of designDoc.documents || [designDoc]) {
+      if (doc.pinnedVersion && doc.latestVersion && doc.latestVersion !== doc.pinnedVersion) {
+        notices.push(`> 📌 **Pinned design version:** reviewed against version ${doc.pinnedVersion} of "${doc.content.title}" as pinned in the link. The page is now at version ${doc.latestVersion}.`);
+      }
+    }
+
+    const changes = designDoc.changes || [];
+    if (changes.length > 0) {
+      const pages = changes.map(change => `"${change.title}" (version ${change.fromVersion} → ${change.toVersion})`).join(', ');
+      let notice = `> 📝 **Design document changed since the last review:** ${pages}. Findings may differ from the last review because of these edits.`;
+      for (const change of changes.filter(entry => entry.diff)) {
+        const fence = change.diff.includes('```') ? '~~~' : '```';
+        notice += `\n\n<details>\n<summary>Changes to "${change.title}" (version ${change.fromVersion} → ${change.toVersion})</summary>\n\n${fence}diff\n${change.diff}\n${fence}\n\n</details>`;
+      }
+      notices.push(notice);
+    }
+
+    return notices.join('\n\n');
+  }
+
+  /**
+   * Build the notice listing the design documents, pages and attachments the design context was assembled from,
+   * and the design documents and Jira issues that could not be read
+   * @param {Object} designDoc - Design context from loadDesignDocuments, with the Jira issueFailures
+   * @returns {string} Markdown notice, or an empty string for a single page without attachments
+   */
+  formatDesignContextNotice(designDoc) {
+    const pages = designDoc.pages || [];
+    const attachments = designDoc.attachments || [];
+    const skipped = designDoc.skippedAttachments || [];
+    const failures = designDoc.failures || [];
+    // Items of a multi-document context are prefixed with their document label
+    const label = item => (item.documentLabel ? `**${item.documentLabel}** ` : '');
+
+    const notices = failures.map(failure => `> ⚠️ **Design document not read:** ${failure.label} (${failure.url}) - ${failure.message}`);
+    for (const failure of designDoc.issueFailures || []) {
+      notices.push(`> ⚠️ **Jira issue not read:** ${failure.key} - ${failure.message}. Its acceptance criteria were not checked.`);
+    }
+    if (pages.length <= 1 && attachments.length === 0 && skipped.length === 0) {
+      return notices.join('\n\n');
+    }
+
+    const sections = [];
+    if (pages.length > 1) {
+      const lines = pages.map((page, index) => {
+        const source = describePageSource(page);
+        const title = page.url ? `[${page.title}](${page.url})` : page.title;
+        return `${index + 1}. ${label(page)}${title}${source ? ` - ${source}` : ''}`;
+      });
+      sections.push(`**Pages**\n\n${lines.join('\n')}`);
+    }
+    if (attachments.length > 0) {
+      const lines = attachments.map(attachment => {
+        const name = attachment.url ? `[${attachment.filename}](${attachment.url})` : `\`${attachment.filename}\``;
+        return `- ${label(attachment)}${name} - ${attachment.kind}, attached to "${attachment.pageTitle}"`;
+      });
+      sections.push(`**Attachments**\n\n${lines.join('\n')}`);
+    }
+    if (skipped.length > 0) {
+      const lines = skipped.map(attachment => `- ${label(attachment)}\`${attachment.filename}\` on "${attachment.pageTitle}" - ${attachment.reason}`);
+      sections.push(`**Attachments not read**\n\n${lines.join('\n')}`);
+    }
+
+    const counts = [`${pages.length} page(s)`];
+    if (attachments.length > 0) {
+      counts.push(`${attachments.length} attachment(s)`);
+    }
+    const documents = designDoc.documents?.length > 1 ? ` from ${designDoc.documents.length} design documents` : '';
+    notices.push(`> 📚 **Design context:** ${counts.join(' and ')}${documents} were read.\n\n<details>\n<summary>Sources</summary>\n\n${sections.join('\n\n')}\n\n</details>`);
+    return notices.join('\n\n');
+  }
+
+  /**
+   * Render the findings sections of the summary comment from the review state
+   * @param {Object} state - Review state
+   * @returns {string} Markdown sections (empty when there is nothing to list)
+   */
+  renderFindingsSections(state) {
+    const open = state.findings.filter(f => f.status === 'open');
+    const current = open.filter(f => f.firstSeenSha === state.headSha);
+    // Findings posted as inline comments are not repeated in the summary
+    const listed = current.filter(f => !f.inline);
+    const earlier = open.filter(f => f.firstSeenSha !== state.headSha);
+    const resolved = state.findings.filter(f => f.status === 'resolved' && f.resolvedSha === state.headSha);
+    const ignored = state.findings.filter(f => f.status === 'ignored');
+
+    const sections = [];
+    if (listed.length > 0) {
+      sections.push(`### ${listed.length < current.length ? 'Other Findings' : 'Findings'}\n${listed.map(f => this.formatFinding(f, true)).join('\n')}`);
+    }
+    if (earlier.length > 0) {
+      sections.push(`### Still Open From Earlier Reviews\n${earlier.map(f => this.formatFinding(f, true)).join('\n')}`);
+    }
+    if (resolved.length > 0) {
+      sections.push(`### Resolved Since the Last Review\n${resolved.map(f => `- ✅ ~~${f.path ? `\`${formatLocation(f)}\` ` : ''}${f.message}~~`).join('\n')}`);
+    }
+    if (ignored.length > 0) {
+      sections.push(`### Ignored\n${ignored.map(f => `- 🙈 ~~${f.path ? `\`${formatLocation(f)}\` ` : ''}${f.message}~~ (ignored by @${f.ignoredBy})`).join('\n')}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Dismiss a finding of the latest review and update the summary comment and check
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {string} findingId - ID of the finding to ignore
+   * @param {string} user - Login of the user who ignored it
+   * @returns {Object} The updated review state
+   */
+  async ignoreFinding(repoRef, prNumber, findingId, user) {
+    const existing = await this.githubService.findBotComment(repoRef, prNumber);
+    const { state } = parseStickyComment(existing?.body);
+    if (state?.version !== REVIEW_STATE_VERSION) {
+      throw new Error('There is no design review on this PR yet');
+    }
+
+    const updatedState = ignoreFinding(state, findingId, user);
+    const findingsSection = this.renderFindingsSections(updatedState);
+    const comment = await this.githubService.updateIssueComment(
+      repoRef,
+      existing.id,
+      replaceFindingsSection(existing.body, findingsSection, updatedState)
+    );
+    logger.info(`Finding ${findingId} on ${formatRepo(repoRef)}#${prNumber} ignored by ${user}`);
+
+    // Re-publish the verdict so ignoring a critical finding can unblock the merge
+    const openFindings = updatedState.findings.filter(f => f.status === 'open');
+    const conclusion = determineConclusion(openFindings);
+    const check = await this.checkReporter.start(repoRef, updatedState.headSha);
+    await this.checkReporter.complete(check, {
+      conclusion,
+      title: this.describeConclusion(conclusion, openFindings),
+      summary: findingsSection || 'All findings were resolved or ignored.',
+      findings: openFindings.filter(f => f.inline),
+      detailsUrl: comment?.html_url
+    });
+    await this.labelManager.applyVerdict(repoRef, prNumber, determineVerdict(openFindings));
+
+    return updatedState;
+  }
+
+  /**
+   * Ask the LLM to explain findings of the latest review and post the answer on the PR
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {string|null} findingId - Finding to explain; all open findings when omitted
+   * @returns {Object} The posted comment
+   */
+  async explainFindings(repoRef, prNumber, findingId = null) {
+    const state = await this.getPreviousReviewState(repoRef, prNumber);
+    if (!state) {
+      throw new Error('There is no design review on this PR yet');
+    }
+
+    const findings = findingId
+      ? state.findings.filter(f => f.id === String(findingId).toLowerCase())
+      : state.findings.filter(f => f.status === 'open');
+    if (findings.length === 0) {
+      throw new Error(findingId ? `Finding ${findingId} was not found in the latest review` : 'The latest review has no open findings to explain');
+    }
+
+    const pr = await this.githubService.getPullRequest(repoRef, prNumber);
+    const designDoc = await this.loadDesignDocuments(state.designDocUrls || [state.designDocUrl], {
+      repoRef,
+      baseRef: pr.base?.ref
+    });
+    const templates = await this.promptTemplates.load(repoRef);
+    const explanation = await this.llmService.explainFindings(findings, designDoc, { templates });
+
+    return this.githubService.addPullRequestComment(
+      repoRef,
+      prNumber,
+      `${COMMAND_REPLY_MARKER}\n## 💬 Design Review Explanation\n\n${explanation}`
+    );
+  }
+
+  /**
+   * Describe the commit range an incremental review covered
+   * @param {Object} incremental - Incremental range from getPullRequestDetails
+   * @returns {string} Markdown notice
+   */
+  formatIncrementalNotice(incremental) {
+    return `> 🔁 **Incremental review:** ${incremental.commits} new commit(s) since the last review (\`${incremental.baseSha.substring(0, 7)}...${incremental.headSha.substring(0, 7)}\`).`;
+  }
+
+  /**
+   * Read the review state stored by the previous review
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @returns {Object|null} The stored review state
+   */
+  async getPreviousReviewState(repoRef, prNumber) {
+    const existing = await this.githubService.findBotComment(repoRef, prNumber);
+    const { state } = parseStickyComment(existing?.body);
+
+    // State written by an older format is ignored, which means a full review
+    return state?.version === REVIEW_STATE_VERSION ? state : null;
+  }
+
+  /**
+   * Create or update the bot's summary comment, keeping earlier verdicts in its history
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {string} body - The new summary body
+   * @param {Object} state - Review state to store; undefined keeps the stored state
+   */
+  async publishSummaryComment(repoRef, prNumber, body, state = undefined) {
+    const existing = await this.githubService.findBotComment(repoRef, prNumber);
+    const comment = buildStickyComment(body, existing?.body, state);
+
+    if (existing) {
+      return this.githubService.updateIssueComment(repoRef, existing.id, comment);
+    }
+    return this.githubService.addPullRequestComment(repoRef, prNumber, comment);
+  }
+
   /**
    * Clean up and close all service connections
    */
@@ -122,7 +723,8 @@ export class PRReviewer {
       
       await Promise.all([
         this.githubService.close(),
-        this.confluenceService.close()
+        this.confluenceService?.close(),
+        this.jiraService?.close()
       ]);
       
       logger.info('All services closed successfully');
@@ -133,19 +735,24 @@ export class PRReviewer {
 
   /**
    * Review multiple PRs
-   * @param {number[]} prNumbers - Array of PR numbers to review
+   * @param {Array<number|Object>} pullRequests - PR numbers (default repository) or { repoRef, prNumber } references
    * @returns {Object[]} Array of review results
    */
-  async reviewMultiplePRs(prNumbers) {
+  async reviewMultiplePRs(pullRequests) {
     const results = [];
     
-    for (const prNumber of prNumbers) {
+    for (const pullRequest of pullRequests) {
+      const { repoRef, prNumber } = typeof pullRequest === 'number'
+        ? { repoRef: getDefaultRepo(), prNumber: pullRequest }
+        : pullRequest;
+
       try {
-        const result = await this.reviewPR(prNumber);
+        const result = await this.reviewPR(prNumber, repoRef);
         results.push(result);
       } catch (error) {
         results.push({
           success: false,
+          repo: formatRepo(repoRef),
           prNumber,
           error: error.message
         });
@@ -155,3 +762,15 @@ export class PRReviewer {
     return results;
   }
 }
+
+/**
+ * Format where a finding applies: path:line or path:start-end
+ * @param {Object} finding - Finding with path, line and endLine
+ * @returns {string} Location
+ */
+function formatLocation(finding) {
+  if (!finding.line) {
+    return finding.path;
+  }
+  return `${finding.path}:${finding.line}${finding.endLine ? `-${finding.endLine}` : ''}`;
+}
@@ -0,0 +1,166 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+// GitHub accepts at most 50 annotations per check run request
+const ANNOTATIONS_PER_REQUEST = 50;
+
+// Commit status descriptions are limited to 140 characters
+const MAX_STATUS_DESCRIPTION = 140;
+
+const ANNOTATION_LEVELS = {
+  critical: 'failure',
+  warning: 'warning',
+  info: 'notice'
+};
+
+const STATUS_STATES = {
+  success: 'success',
+  neutral: 'success',
+  failure: 'failure'
+};
+
+/**
+ * Determine the check conclusion from the severity of the findings
+ * @param {Object[]} findings - Review findings
+ * @returns {string} 'failure' for critical findings, 'neutral' for warnings, otherwise 'success'
+ */
+export function determineConclusion(findings = []) {
+  if (findings.some(finding => finding.severity === 'critical')) {
+    return 'failure';
+  }
+  if (findings.some(finding => finding.severity === 'warning')) {
+    return 'neutral';
+  }
+  return 'success';
+}
+
+/**
+ * Publishes design review results on the PR head commit as a GitHub Check Run,
+ * falling back to a commit status when check runs are not available (check runs
+ * can only be created with GitHub App credentials)
+ */
+export class CheckReporter {
+  constructor(githubService) {
+    this.githubService = githubService;
+    this.mode = config.github.checkMode;
+  }
+
+  /**
+   * Mark the design review as in progress on the given commit
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {string} headSha - The PR head commit SHA
+   * @returns {Object|null} Handle used to complete the check, or null when disabled
+   */
+  async start(repoRef, headSha) {
+    if (this.mode === 'none' || !headSha) {
+      return null;
+    }
+
+    try {
+      if (this.mode === 'check-run') {
+        try {
+          const checkRun = await this.githubService.createCheckRun(repoRef, {
+            name: config.github.checkName,
+            head_sha: headSha,
+            status: 'in_progress',
+            started_at: new Date().toISOString(),
+            output: {
+              title: 'Design review in progress',
+              summary: 'Comparing the PR changes with the linked design document...'
+            }
+          });
+          return { type: 'check-run', id: checkRun.id, repoRef, headSha };
+        } catch (error) {
+          if (error.response?.status !== 403 && error.response?.status !== 404) {
+            throw error;
+          }
+          logger.warn('Check runs are not available with the current credentials - falling back to commit statuses');
+          this.mode = 'status';
+        }
+      }
+
+      await this.githubService.createCommitStatus(repoRef, headSha, {
+        state: 'pending',
+        context: config.github.checkName,
+        description: 'Design review in progress'
+      });
+      return { type: 'status', repoRef, headSha };
+    } catch (error) {
+      // Reporting the check must never block the review itself
+      logger.error('Failed to start design review check:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Complete the check with a conclusion
+   * @param {Object|null} handle - Handle returned by start()
+   * @param {Object} result - Check result
+   * @param {string} result.conclusion - 'success', 'neutral' or 'failure'
+   * @param {string} result.title - Short title of the outcome
+   * @param {string} result.summary - Markdown summary
+   * @param {Object[]} result.findings - Findings to turn into annotations
+   * @param {string} result.detailsUrl - Link to the summary comment
+   */
+  async complete(handle, { conclusion, title, summary, findings = [], detailsUrl }) {
+    if (!handle) {
+      return;
+    }
+
+    try {
+      if (handle.type === 'check-run') {
+        const annotations = this.buildAnnotations(findings);
+        const batches = [];
+        for (let i = 0; i < annotations.length; i += ANNOTATIONS_PER_REQUEST) {
+          batches.push(annotations.slice(i, i + ANNOTATIONS_PER_REQUEST));
+        }
+
+        // Annotations beyond the first batch are appended with further updates
+        for (const batch of batches.slice(1)) {
+          await this.githubService.updateCheckRun(handle.repoRef, handle.id, {
+            output: { title, summary, annotations: batch }
+          });
+        }
+
+        await this.githubService.updateCheckRun(handle.repoRef, handle.id, {
+          status: 'completed',
+          conclusion,
+          completed_at: new Date().toISOString(),
+          details_url: detailsUrl,
+          output: { title, summary, annotations: batches[0] || [] }
+        });
+      } else {
+        await this.githubService.createCommitStatus(handle.repoRef, handle.headSha, {
+          state: STATUS_STATES[conclusion] || 'error',
+          context: config.github.checkName,
+          description: title.substring(0, MAX_STATUS_DESCRIPTION),
+          target_url: detailsUrl
+        });
+      }
+
+      logger.info(`Design review check completed with conclusion: ${conclusion}`);
+    } catch (error) {
+      logger.error('Failed to complete design review check:', error.message);
+    }
+  }
+
+  /**
+   * Convert findings into check run annotations
+   * @param {Object[]} findings - Findings with path and line
+   * @returns {Object[]} Check run annotations
+   */
+  buildAnnotations(findings) {
+    return findings
+      .filter(finding => finding.path && finding.line)
+      .map(finding => ({
+        path: finding.path,
+        start_line: finding.line,
+        end_line: finding.endLine || finding.line,
+        annotation_level: ANNOTATION_LEVELS[finding.severity] || 'notice',
+        ...([finding.category, finding.requirement].some(Boolean) && {
+          title: [finding.category, finding.requirement].filter(Boolean).join(' · ')
+        }),
+        message: finding.suggestion ? `${finding.message}\n\nSuggestion: ${finding.suggestion}` : finding.message
+      }));
+  }
+}
@@ -1,13 +1,26 @@
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/index.js';
+import { getAxiosTransportOptions } from '../utils/http-agent.js';
+import { parseConfluenceUrl, decodeTinyLink } from '../utils/confluence-url.js';
+import { storageToMarkdown, extractExcerpt } from '../utils/storage-to-markdown.js';
+import { extractPageReferences, describePageSource, formatPageSection } from '../utils/page-references.js';
+import { getAttachmentType, summarizeAttachment } from '../utils/design-attachments.js';
+import { diffDocumentVersions } from '../utils/doc-diff.js';
+
+// Confluence Cloud sites are hosted on these domains
+const CLOUD_HOST_PATTERN = /\.(atlassian\.net|jira\.com)$/i;
 
 /**
- * Confluence service using direct API calls for Atlassian/Confluence operations
+ * Confluence service using direct API calls for Atlassian/Confluence operations.
+ * Supports Confluence Cloud (REST API v2) and Confluence Server / Data Center (REST API v1).
  */
 export class ConfluenceService {
   constructor() {
     this.apiClient = null;
+    this.flavor = null;
+    // Space keys by space ID; Cloud v2 pages only reference their space by ID
+    this.spaceKeys = new Map();
   }
 
   /**
@@ -15,23 +28,22 @@ export class ConfluenceService {
    */
   async initialize() {
     try {
-      logger.info('Initializing Confluence API client...');
-      
-      // Create basic auth header
-      const auth = Buffer.from(`${config.confluence.email}:${config.confluence.apiToken}`).toString('base64');
+      logger.info(`Initializing Confluence API client for ${config.confluence.baseUrl}...`);
       
+      const baseURL = config.confluence.baseUrl;
       this.apiClient = axios.create({
-        baseURL: `https://${config.confluence.domain}/wiki/api/v2`,
+        baseURL,
         headers: {
-          'Authorization': `Basic ${auth}`,
+          'Authorization': this.getAuthorizationHeader(),
           'Accept': 'application/json',
           'Content-Type': 'application/json'
-        }
+        },
+        ...getAxiosTransportOptions(baseURL)
       });
 
-      // Test the connection
-      await this.apiClient.get('/spaces?limit=1');
-      logger.info('Confluence API client initialized successfully');
+      // Detecting the flavor also tests the connection
+      this.flavor = await this.detectApiFlavor();
+      logger.info(`Confluence API client initialized successfully (${this.flavor === 'cloud' ? 'Cloud, REST API v2' : 'Server / Data Center, REST API v1'})`);
       
       return true;
     } catch (error) {
@@ -41,36 +53,93 @@ export class ConfluenceService {
   }
 
   /**
-   * Extract page ID from Confluence URL
-   * @param {string} confluenceUrl - The full Confluence URL
-   * @returns {string|null} The page ID if found
+   * Build the Authorization header: Bearer for personal access tokens, Basic for email + API token
+   * @returns {string} Authorization header value
+   */
+  getAuthorizationHeader() {
+    if (config.confluence.personalAccessToken) {
+      return `Bearer ${config.confluence.personalAccessToken}`;
+    }
+    const auth = Buffer.from(`${config.confluence.email}:${config.confluence.apiToken}`).toString('base64');
+    return `Basic ${auth}`;
+  }
+
+  /**
+   * Work out which REST API the site offers
+   * @returns {string} 'cloud' or 'server'
    */
-  extractPageId(confluenceUrl) {
+  async detectApiFlavor() {
+    const configured = config.confluence.apiFlavor;
+    if (configured === 'cloud' || configured === 'server') {
+      await this.apiClient.get(configured === 'cloud' ? '/api/v2/spaces?limit=1' : '/rest/api/space?limit=1');
+      return configured;
+    }
+
+    if (CLOUD_HOST_PATTERN.test(new URL(config.confluence.baseUrl).hostname)) {
+      await this.apiClient.get('/api/v2/spaces?limit=1');
+      return 'cloud';
+    }
+
+    // Self-hosted sites (or Cloud behind a custom domain): Server / Data Center has no v2 API
     try {
-      // Common Confluence URL patterns:
-      // https://domain.atlassian.net/wiki/spaces/SPACE/pages/123456/Page+Title
-      // https://domain.atlassian.net/wiki/display/SPACE/Page+Title?pageId=123456
-      
-      const patterns = [
-        /\/pages\/(\d+)\//,
-        /pageId=(\d+)/,
-        /\/(\d+)\/[^\/]*$/
-      ];
-
-      for (const pattern of patterns) {
-        const match = confluenceUrl.match(pattern);
-        if (match && match[1]) {
-          logger.debug('Extracted page ID:', match[1]);
-          return match[1];
-        }
+      await this.apiClient.get('/api/v2/spaces?limit=1');
+      return 'cloud';
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
       }
+      await this.apiClient.get('/rest/api/space?limit=1');
+      return 'server';
+    }
+  }
 
-      logger.warn('Could not extract page ID from URL:', confluenceUrl);
-      return null;
-    } catch (error) {
-      logger.error('Error extracting page ID:', error);
-      return null;
+  /**
+   * Resolve a Confluence URL of any supported style to a page ID and pinned version
+   * @param {string} confluenceUrl - The full Confluence URL
+   * @returns {Object} { pageId, version } - version is null for the latest revision
+   */
+  async resolvePageReference(confluenceUrl) {
+    const parsed = parseConfluenceUrl(confluenceUrl);
+    if (!parsed) {
+      throw new Error(`Could not extract page ID from Confluence URL: ${confluenceUrl}`);
     }
+
+    if (parsed.pageId) {
+      logger.debug('Extracted page ID:', parsed.pageId);
+      return { pageId: parsed.pageId, version: parsed.version };
+    }
+
+    if (parsed.tinyCode) {
+      const pageId = decodeTinyLink(parsed.tinyCode);
+      logger.debug(`Decoded tiny link ${parsed.tinyCode} to page ID ${pageId}`);
+      return { pageId, version: parsed.version };
+    }
+
+    const pageId = await this.findPageByTitle(parsed.spaceKey, parsed.title);
+    return { pageId, version: parsed.version };
+  }
+
+  /**
+   * Look up a page by space key and title with a CQL search
+   * @param {string} spaceKey - The space key
+   * @param {string} title - The exact page title
+   * @returns {string} Page ID
+   */
+  async findPageByTitle(spaceKey, title) {
+    const escape = value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const cql = `space = "${escape(spaceKey)}" AND title = "${escape(title)}" AND type = page`;
+
+    logger.debug(`Searching Confluence for page "${title}" in space ${spaceKey}...`);
+    // The v1 content search is available on Cloud and Server / Data Center
+    const response = await this.apiClient.get('/rest/api/content/search', {
+      params: { cql, limit: 1 }
+    });
+
+    const page = response.data.results?.[0];
+    if (!page) {
+      throw new Error(`Confluence page "${title}" not found in space ${spaceKey}`);
+    }
+    return String(page.id);
   }
 
   /**
@@ -79,31 +148,41 @@ export class ConfluenceService {
    * @returns {Object} Page content and metadata
    */
   async getPageContent(confluenceUrl) {
+    let reference = null;
     try {
       logger.info('Fetching Confluence page content...');
       
-      const pageId = this.extractPageId(confluenceUrl);
-      if (!pageId) {
-        throw new Error('Could not extract page ID from Confluence URL');
-      }
-
-      // Get page content using Confluence API v2
-      const response = await this.apiClient.get(`/pages/${pageId}?body-format=storage`);
+      reference = await this.resolvePageReference(confluenceUrl);
+      const pageData = await this.fetchPage(reference.pageId, reference.version);
       
-      const pageData = response.data;
-      
-      logger.info('Successfully fetched Confluence page content');
+      logger.info(`Successfully fetched Confluence page content${reference.version ? ` (version ${reference.version})` : ''}`);
       logger.debug('Page content preview:', pageData.title || 'No title available');
 
+      const pages = await this.collectRelatedPages(pageData, confluenceUrl);
+      const { attachments, skipped } = await this.collectAttachments(pages);
+      // A pinned link reads an earlier revision; find out whether the page has moved on since
+      const latestVersion = reference.version
+        ? await this.getLatestVersion(reference.pageId)
+        : pageData.version.number;
+
       return {
         content: pageData,
         url: confluenceUrl,
-        pageId
+        pageId: reference.pageId,
+        // Set when the URL pins a specific revision of the page
+        pinnedVersion: reference.version,
+        latestVersion,
+        // The linked page first, then the included, child and linked pages that were followed
+        pages,
+        // Spec and schema files attached to those pages
+        attachments,
+        skippedAttachments: skipped
       };
     } catch (error) {
       logger.error('Failed to fetch Confluence page content:', error);
       if (error.response?.status === 404) {
-        throw new Error(`Confluence page with ID ${this.extractPageId(confluenceUrl)} not found`);
+        const version = reference?.version ? ` (version ${reference.version})` : '';
+        throw new Error(`Confluence page with ID ${reference?.pageId || 'unknown'}${version} not found`);
       }
       if (error.response?.status === 401 || error.response?.status === 403) {
         throw new Error('Unauthorized to access Confluence page. Check your API token and permissions.');
@@ -113,15 +192,352 @@ export class ConfluenceService {
   }
 
   /**
-   * Extract and clean text content from Confluence storage format
+   * Follow the included, excerpted, child and linked pages of the design document,
+   * breadth first, up to CONFLUENCE_FOLLOW_DEPTH levels and CONFLUENCE_MAX_PAGES pages
+   * @param {Object} rootPage - The normalized design document page
+   * @param {string} rootUrl - The design document URL
+   * @returns {Object[]} Pages ({ pageId, title, url, via, parent, depth, content }), the design document first
+   */
+  async collectRelatedPages(rootPage, rootUrl) {
+    const { followDepth, maxPages } = config.confluence;
+    const root = { pageId: rootPage.id, title: rootPage.title, url: rootPage.webUrl || rootUrl, via: null, parent: null, depth: 0, content: rootPage };
+    const pages = [root];
+    const visited = new Set([rootPage.id]);
+    const queue = [root];
+
+    while (queue.length > 0) {
+      const page = queue.shift();
+      if (page.depth >= followDepth) {
+        continue;
+      }
+
+      for (const reference of await this.listPageReferences(page.content)) {
+        if (pages.length >= maxPages) {
+          logger.warn(`Design document has more related pages than CONFLUENCE_MAX_PAGES (${maxPages}); the rest are not read`);
+          return pages;
+        }
+
+        try {
+          const pageId = reference.pageId || await this.resolveReference(reference, page.content);
+          if (visited.has(pageId)) {
+            continue;
+          }
+          visited.add(pageId);
+
+          const content = await this.fetchPage(pageId);
+          const related = { pageId, title: content.title, url: content.webUrl, via: reference.type, parent: page.title, depth: page.depth + 1, content };
+          pages.push(related);
+          queue.push(related);
+          logger.debug(`Following Confluence page "${content.title}" (${describePageSource(related)})`);
+        } catch (error) {
+          // A missing or restricted page must not fail the review of the rest
+          logger.warn(`Skipping Confluence page ${reference.title ? `"${reference.title}"` : reference.pageId || reference.tinyCode} referenced by "${page.title}": ${error.message}`);
+        }
+      }
+    }
+
+    if (pages.length > 1) {
+      logger.info(`Design document spans ${pages.length} Confluence pages`);
+    }
+    return pages;
+  }
+
+  /**
+   * List the pages a page references, in the order they are followed: includes, children, links
+   * @param {Object} page - Normalized page
+   * @returns {Object[]} Page references ({ type, pageId?, tinyCode?, spaceKey?, title? })
+   */
+  async listPageReferences(page) {
+    const references = extractPageReferences(page.body.storage.value, { siteUrl: config.confluence.baseUrl });
+    const includes = references.filter(reference => reference.type !== 'link');
+    const links = config.confluence.followLinks ? references.filter(reference => reference.type === 'link') : [];
+
+    let children = [];
+    if (config.confluence.followChildren) {
+      try {
+        children = (await this.listChildPages(page.id)).map(child => ({ type: 'child', pageId: child.id, title: child.title }));
+      } catch (error) {
+        logger.warn(`Could not list the child pages of "${page.title}": ${error.message}`);
+      }
+    }
+
+    return [...includes, ...children, ...links];
+  }
+
+  /**
+   * Resolve a page reference found in another page to a page ID
+   * @param {Object} reference - Page reference ({ tinyCode } or { spaceKey, title })
+   * @param {Object} fromPage - The normalized page containing the reference
+   * @returns {string} Page ID
+   */
+  async resolveReference(reference, fromPage) {
+    if (reference.tinyCode) {
+      return decodeTinyLink(reference.tinyCode);
+    }
+    const spaceKey = reference.spaceKey || await this.getSpaceKey(fromPage);
+    return this.findPageByTitle(spaceKey, reference.title);
+  }
+
+  /**
+   * Get the key of the space a page belongs to
+   * @param {Object} page - Normalized page
+   * @returns {string} Space key
+   */
+  async getSpaceKey(page) {
+    if (page.spaceKey) {
+      return page.spaceKey;
+    }
+    if (!this.spaceKeys.has(page.spaceId)) {
+      const response = await this.apiClient.get(`/api/v2/spaces/${page.spaceId}`);
+      this.spaceKeys.set(page.spaceId, response.data.key);
+    }
+    return this.spaceKeys.get(page.spaceId);
+  }
+
+  /**
+   * List the direct child pages of a page
+   * @param {string} pageId - The page ID
+   * @returns {Object[]} Child pages ({ id, title })
+   */
+  async listChildPages(pageId) {
+    const limit = config.confluence.maxPages;
+    const response = this.flavor === 'server'
+      ? await this.apiClient.get(`/rest/api/content/${pageId}/child/page`, { params: { limit } })
+      : await this.apiClient.get(`/api/v2/pages/${pageId}/children`, { params: { limit } });
+
+    return (response.data.results || []).map(child => ({ id: String(child.id), title: child.title }));
+  }
+
+  /**
+   * Get the current version number of a page
+   * @param {string} pageId - The page ID
+   * @returns {number|null} Version number, or null when it could not be read
+   */
+  async getLatestVersion(pageId) {
+    try {
+      const response = this.flavor === 'server'
+        ? await this.apiClient.get(`/rest/api/content/${pageId}`, { params: { expand: 'version' } })
+        : await this.apiClient.get(`/api/v2/pages/${pageId}`);
+      return response.data.version?.number || null;
+    } catch (error) {
+      logger.warn(`Could not read the latest version of Confluence page ${pageId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * List the page versions a design document was read at, for the review state
+   * @param {Object} designDoc - Design document from getPageContent
+   * @returns {Object[]} Page versions ({ pageId, title, version })
+   */
+  listPageVersions(designDoc) {
+    return (designDoc.pages || []).map(page => ({
+      pageId: page.pageId,
+      title: page.title,
+      version: page.content.version?.number || null
+    }));
+  }
+
+  /**
+   * Find the design document pages that changed since an earlier review, with a diff of each change
+   * @param {Object} designDoc - Design document from getPageContent
+   * @param {Object[]} previousVersions - Page versions recorded by the earlier review
+   * @returns {Object[]} Changed pages ({ pageId, title, url, fromVersion, toVersion, diff });
+   *   diff is null when the earlier version could not be read
+   */
+  async getDocumentChanges(designDoc, previousVersions = []) {
+    const changes = [];
+
+    for (const page of designDoc.pages || []) {
+      const previous = previousVersions.find(entry => entry.pageId === page.pageId);
+      const current = page.content.version?.number;
+      if (!previous?.version || !current || previous.version === current) {
+        continue;
+      }
+
+      let diff = null;
+      try {
+        const earlier = await this.fetchPage(page.pageId, previous.version);
+        diff = diffDocumentVersions(this.extractTextContent(earlier), this.extractTextContent(page.content), {
+          from: `${page.title} (version ${previous.version})`,
+          to: `${page.title} (version ${current})`
+        });
+      } catch (error) {
+        logger.warn(`Could not read version ${previous.version} of "${page.title}" to diff it: ${error.message}`);
+      }
+
+      changes.push({ pageId: page.pageId, title: page.title, url: page.url, fromVersion: previous.version, toVersion: current, diff });
+    }
+
+    if (changes.length > 0) {
+      logger.info(`Design document changed since the last review: ${changes.map(change => `"${change.title}" ${change.fromVersion} -> ${change.toVersion}`).join(', ')}`);
+    }
+    return changes;
+  }
+
+  /**
+   * Download and summarize the supported spec and schema attachments of the design document pages
+   * @param {Object[]} pages - Pages from collectRelatedPages
+   * @returns {Object} { attachments, skipped } - attachments ({ filename, pageTitle, url, size, type, kind, summary, content })
+   *   and the supported attachments that were not read ({ filename, pageTitle, reason })
+   */
+  async collectAttachments(pages) {
+    const { enabled, maxCount, maxBytes } = config.confluence.attachments;
+    const attachments = [];
+    const skipped = [];
+    if (!enabled) {
+      return { attachments, skipped };
+    }
+
+    for (const page of pages) {
+      let listed;
+      try {
+        listed = await this.listAttachments(page.pageId);
+      } catch (error) {
+        logger.warn(`Could not list the attachments of "${page.title}": ${error.message}`);
+        continue;
+      }
+
+      // Images, office documents and other unsupported files are ignored
+      for (const attachment of listed.filter(item => getAttachmentType(item.filename))) {
+        const skip = reason => skipped.push({ filename: attachment.filename, pageTitle: page.title, reason });
+        if (attachments.length >= maxCount) {
+          skip(`more than ${maxCount} attachments (CONFLUENCE_MAX_ATTACHMENTS)`);
+          continue;
+        }
+        if (attachment.size > maxBytes) {
+          skip(`${attachment.size} bytes, over the ${maxBytes} byte limit (CONFLUENCE_ATTACHMENT_MAX_BYTES)`);
+          continue;
+        }
+
+        try {
+          const content = await this.downloadAttachment(attachment);
+          attachments.push({
+            filename: attachment.filename,
+            pageTitle: page.title,
+            url: attachment.webUrl,
+            size: Buffer.byteLength(content),
+            ...summarizeAttachment(attachment.filename, content),
+            content
+          });
+        } catch (error) {
+          logger.warn(`Could not download attachment ${attachment.filename} of "${page.title}": ${error.message}`);
+          skip(`download failed: ${error.message}`);
+        }
+      }
+    }
+
+    if (attachments.length > 0 || skipped.length > 0) {
+      logger.info(`Read ${attachments.length} design document attachment(s)${skipped.length > 0 ? `, skipped ${skipped.length}` : ''}`);
+    }
+    return { attachments, skipped };
+  }
+
+  /**
+   * List the attachments of a page
+   * @param {string} pageId - The page ID
+   * @returns {Object[]} Attachments ({ id, filename, size, mediaType, downloadPath, webUrl })
+   */
+  async listAttachments(pageId) {
+    const response = this.flavor === 'server'
+      ? await this.apiClient.get(`/rest/api/content/${pageId}/child/attachment`, { params: { limit: 100 } })
+      : await this.apiClient.get(`/api/v2/pages/${pageId}/attachments`, { params: { limit: 100 } });
+
+    // v2 returns the size and links at the top level, v1 nests them
+    return (response.data.results || []).map(attachment => {
+      const webui = attachment.webuiLink || attachment._links?.webui;
+      return {
+        id: String(attachment.id),
+        filename: attachment.title,
+        size: attachment.fileSize ?? attachment.extensions?.fileSize ?? 0,
+        mediaType: attachment.mediaType || attachment.extensions?.mediaType || null,
+        downloadPath: attachment.downloadLink || attachment._links?.download,
+        webUrl: webui ? `${config.confluence.baseUrl}${webui}` : null
+      };
+    });
+  }
+
+  /**
+   * Download an attachment as text
+   * @param {Object} attachment - Attachment from listAttachments
+   * @returns {string} File content
+   */
+  async downloadAttachment(attachment) {
+    const response = await this.apiClient.get(attachment.downloadPath, {
+      responseType: 'text',
+      headers: { Accept: '*/*' },
+      // The listed size can be missing or stale
+      maxContentLength: config.confluence.attachments.maxBytes
+    });
+    return response.data;
+  }
+
+  /**
+   * Fetch a page in storage format with the API of the detected flavor
+   * @param {string} pageId - The page ID
+   * @param {number|null} version - Revision to fetch; the latest when null
+   * @returns {Object} Normalized page ({ id, title, spaceKey, version, body, webUrl })
+   */
+  async fetchPage(pageId, version = null) {
+    if (this.flavor === 'server') {
+      const response = await this.apiClient.get(`/rest/api/content/${pageId}`, {
+        params: {
+          expand: 'body.storage,version,space',
+          // Earlier revisions are "historical" content
+          ...(version && { status: 'historical', version })
+        }
+      });
+      return this.normalizePage(response.data);
+    }
+
+    const response = await this.apiClient.get(`/api/v2/pages/${pageId}`, {
+      params: { 'body-format': 'storage', ...(version && { version }) }
+    });
+    return this.normalizePage(response.data);
+  }
+
+  /**
+   * Bring Cloud v2 and Server / Data Center v1 page responses into one shape
+   * @param {Object} page - Page from either API
+   * @returns {Object} Normalized page
+   */
+  normalizePage(page) {
+    const webui = page._links?.webui;
+    return {
+      id: String(page.id),
+      title: page.title,
+      // v1 embeds the space, v2 only references it by ID
+      spaceKey: page.space?.key || null,
+      spaceId: page.spaceId || page.space?.id || null,
+      version: {
+        number: page.version?.number || null,
+        createdAt: page.version?.createdAt || page.version?.when || null
+      },
+      body: {
+        storage: {
+          value: page.body?.storage?.value || '',
+          representation: 'storage'
+        }
+      },
+      webUrl: webui ? `${page._links.base || config.confluence.baseUrl}${webui}` : null
+    };
+  }
+
+  /**
+   * Convert the page body from Confluence storage format to Markdown. When related pages
+   * were followed, every page becomes a section headed with its title and source.
    * @param {Object} pageData - The page data from Confluence API
-   * @returns {string} Clean text content
+   * @returns {string} Markdown content
    */
   extractTextContent(pageData) {
+    if (pageData.pages?.length > 1) {
+      return this.assembleDesignContext(pageData.pages);
+    }
+
     try {
       let content = '';
       
-      // Confluence API v2 response structure
+      // Pages are normalized to the same structure for Cloud and Server / Data Center
       if (pageData.content?.body?.storage?.value) {
         content = pageData.content.body.storage.value;
       } else if (pageData.content?.body?.view?.value) {
@@ -134,13 +550,8 @@ export class ConfluenceService {
       }
 
       if (content) {
-        // Remove HTML tags and extract plain text
-        content = content
-          .replace(/<[^>]*>/g, ' ')  // Remove HTML tags
-          .replace(/&nbsp;/g, ' ')   // Replace non-breaking spaces
-          .replace(/&[a-zA-Z0-9#]+;/g, ' ')  // Remove HTML entities
-          .replace(/\s+/g, ' ')      // Normalize whitespace
-          .trim();
+        // Keep headings, lists, tables and macros so the LLM sees the document structure
+        content = storageToMarkdown(content);
       }
 
       logger.debug('Extracted text content length:', content.length);
@@ -151,6 +562,21 @@ export class ConfluenceService {
     }
   }
 
+  /**
+   * Combine the pages of the design document into one Markdown context
+   * @param {Object[]} pages - Pages from getPageContent
+   * @returns {string} Markdown with one "## [Page n]" section per page
+   */
+  assembleDesignContext(pages) {
+    const sections = pages.map((page, index) => {
+      // Only the excerpt of a page is included by excerpt-include
+      const content = (page.via === 'excerpt' && extractExcerpt(page.content.body.storage.value)) ||
+        this.extractTextContent(page.content);
+      return formatPageSection(page, index, content);
+    });
+    return sections.join('\n\n');
+  }
+
   /**
    * Close the Confluence API client connection (cleanup)
    */
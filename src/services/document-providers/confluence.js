@@ -0,0 +1,55 @@
+/**
+ * Design documents hosted in Confluence, read with ConfluenceService
+ */
+export class ConfluenceDocumentProvider {
+  /**
+   * @param {ConfluenceService} confluenceService - Initialized Confluence service
+   */
+  constructor(confluenceService) {
+    this.name = 'confluence';
+    this.confluenceService = confluenceService;
+  }
+
+  /**
+   * Whether this provider reads a reference; any web URL the other providers do not claim
+   * is treated as a Confluence page
+   * @param {string} reference - Design document reference from the PR
+   * @returns {boolean} Whether the reference is supported
+   */
+  supports(reference) {
+    return /^https?:\/\//i.test(reference);
+  }
+
+  /**
+   * Fetch the page with its related pages and attachments and convert it to Markdown
+   * @param {string} reference - Confluence page URL
+   * @returns {Object} Design document (content, url, pages, attachments, textContent, ...)
+   */
+  async load(reference) {
+    const doc = await this.confluenceService.getPageContent(reference);
+    if (!doc.content) {
+      throw new Error('Could not fetch design document content from Confluence');
+    }
+    doc.textContent = this.confluenceService.extractTextContent(doc);
+    return doc;
+  }
+
+  /**
+   * List the page versions the document was read at
+   * @param {Object} doc - Design document from load
+   * @returns {Object[]} Page versions ({ pageId, title, version })
+   */
+  listVersions(doc) {
+    return this.confluenceService.listPageVersions(doc);
+  }
+
+  /**
+   * Find the pages that changed since an earlier review
+   * @param {Object} doc - Design document from load
+   * @param {Object[]} previousVersions - Page versions recorded by the earlier review
+   * @returns {Object[]} Changed pages ({ pageId, title, url, fromVersion, toVersion, diff })
+   */
+  async getChanges(doc, previousVersions) {
+    return this.confluenceService.getDocumentChanges(doc, previousVersions);
+  }
+}
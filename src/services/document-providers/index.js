@@ -0,0 +1,87 @@
+import { ConfluenceDocumentProvider } from './confluence.js';
+import { RepositoryDocumentProvider } from './repository.js';
+
+/**
+ * Picks the provider that reads a design document reference. Every provider offers:
+ * - supports(reference): whether it reads the reference
+ * - load(reference, { repoRef, baseRef }): the design document with its Markdown textContent
+ * - listVersions(doc): the versions recorded in the review state
+ * - getChanges(doc, previousVersions): the edits since an earlier review
+ */
+export class DocumentProviderRegistry {
+  /**
+   * @param {Object} services - Initialized services
+   * @param {GitHubService} services.githubService - GitHub service for repository documents
+   * @param {ConfluenceService|null} services.confluenceService - Confluence service; null when Confluence is not configured
+   */
+  constructor({ githubService, confluenceService }) {
+    // Repository links are GitHub URLs, so they are claimed before the Confluence catch-all
+    this.providers = [
+      new RepositoryDocumentProvider(githubService),
+      ...(confluenceService ? [new ConfluenceDocumentProvider(confluenceService)] : [])
+    ];
+  }
+
+  /**
+   * Whether any provider reads a reference
+   * @param {string} reference - Design document URL or repository path
+   * @returns {boolean} Whether the reference can be loaded
+   */
+  supports(reference) {
+    return this.providers.some(provider => provider.supports(reference));
+  }
+
+  /**
+   * Find the provider for a reference
+   * @param {string} reference - Design document URL or repository path
+   * @returns {Object} The provider
+   */
+  forReference(reference) {
+    const provider = this.providers.find(candidate => candidate.supports(reference));
+    if (!provider) {
+      throw new Error(`No document source can read ${reference} - link a Confluence page (with Confluence configured), a repository path or a GitHub file URL`);
+    }
+    return provider;
+  }
+
+  /**
+   * Load a design document with its provider
+   * @param {string} reference - Design document URL or repository path
+   * @param {Object} context - PR context ({ repoRef, baseRef })
+   * @returns {Object} Design document, with the provider name in `provider`
+   */
+  async load(reference, context) {
+    const provider = this.forReference(reference);
+    const doc = await provider.load(reference, context);
+    doc.provider = provider.name;
+    return doc;
+  }
+
+  /**
+   * List the versions a design document was read at
+   * @param {Object} doc - Design document from load
+   * @returns {Object[]} Versions ({ pageId, title, version })
+   */
+  listVersions(doc) {
+    return this.getProvider(doc).listVersions(doc);
+  }
+
+  /**
+   * Find the edits to a design document since an earlier review
+   * @param {Object} doc - Design document from load
+   * @param {Object[]} previousVersions - Versions recorded by the earlier review
+   * @returns {Object[]} Changes ({ pageId, title, url, fromVersion, toVersion, diff })
+   */
+  async getChanges(doc, previousVersions) {
+    return this.getProvider(doc).getChanges(doc, previousVersions);
+  }
+
+  /**
+   * Get the provider that loaded a document
+   * @param {Object} doc - Design document from load
+   * @returns {Object} The provider
+   */
+  getProvider(doc) {
+    return this.providers.find(provider => provider.name === doc.provider);
+  }
+}
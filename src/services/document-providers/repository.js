@@ -0,0 +1,225 @@
+import { logger } from '../../utils/logger.js';
+import { config } from '../../config/index.js';
+import { formatRepo } from '../../utils/repo-ref.js';
+import { formatPageSection } from '../../utils/page-references.js';
+import { diffDocumentVersions } from '../../utils/doc-diff.js';
+
+// Files read as design documents, also when a directory is referenced
+const DOCUMENT_FILE = /\.(md|markdown|mdx|adoc|rst|txt)$/i;
+// A repository path: docs/design/auth.md, ./adr/, /docs/design/
+const REPOSITORY_PATH = /^(?:\.?\/)?((?:[\w.-]+\/)*[\w.-]+\/?)$/;
+
+/**
+ * Design documents kept as Markdown in a GitHub repository (ADRs, docs/design/*.md).
+ * A PR references them by repository path or by blob / tree URL. Documents in the PR's own
+ * repository are read from the base branch, so a PR cannot rewrite the spec it is reviewed against.
+ */
+export class RepositoryDocumentProvider {
+  /**
+   * @param {GitHubService} githubService - Initialized GitHub service
+   */
+  constructor(githubService) {
+    this.name = 'repository';
+    this.githubService = githubService;
+  }
+
+  /**
+   * Whether this provider reads a reference
+   * @param {string} reference - Design document reference from the PR
+   * @returns {boolean} Whether the reference is a repository path or GitHub file URL
+   */
+  supports(reference) {
+    return this.parseReference(reference, null) !== null;
+  }
+
+  /**
+   * Parse a repository path or a GitHub blob / tree URL
+   * @param {string} reference - Design document reference
+   * @param {Object|null} repoRef - Repository of the PR
+   * @returns {Object|null} { repoRef, path, ref } - ref is null for the PR's base branch; null when not a repository reference
+   */
+  parseReference(reference, repoRef) {
+    const webUrl = getGitHubWebUrl();
+    if (reference.toLowerCase().startsWith(`${webUrl.toLowerCase()}/`)) {
+      const url = new URL(reference);
+      const match = url.pathname.match(/^\/([^/]+)\/([^/]+)\/(?:blob|tree)\/([^/]+)\/(.+)$/);
+      if (!match) {
+        return null;
+      }
+      const [, owner, repo, ref, path] = match;
+      const target = { owner, repo };
+      // The PR's own repository is always read at the base branch, whatever ref the link names
+      const sameRepo = repoRef && owner.toLowerCase() === repoRef.owner.toLowerCase() &&
+        repo.toLowerCase() === repoRef.repo.toLowerCase();
+      return {
+        repoRef: sameRepo ? repoRef : target,
+        path: decodeURIComponent(path).replace(/\/$/, ''),
+        ref: sameRepo ? null : ref
+      };
+    }
+
+    if (/^[a-z][a-z0-9+.-]*:/i.test(reference)) {
+      return null;
+    }
+    const match = reference.match(REPOSITORY_PATH);
+    if (!match || !(DOCUMENT_FILE.test(match[1]) || match[1].endsWith('/'))) {
+      return null;
+    }
+    return { repoRef, path: match[1].replace(/\/$/, ''), ref: null };
+  }
+
+  /**
+   * Read a document file, or every document file in a directory
+   * @param {string} reference - Repository path or GitHub URL
+   * @param {Object} context - PR context ({ repoRef, baseRef })
+   * @returns {Object} Design document (content, url, pages, textContent, ...)
+   */
+  async load(reference, { repoRef, baseRef = null } = {}) {
+    const target = this.parseReference(reference, repoRef);
+    if (!target?.repoRef) {
+      throw new Error(`Cannot read ${reference}: no repository to read it from`);
+    }
+    const ref = target.ref || baseRef;
+    const location = `${formatRepo(target.repoRef)}${ref ? `@${ref}` : ''}:${target.path}`;
+    logger.info(`Reading design document ${location} from the repository...`);
+
+    let entry;
+    try {
+      entry = await this.githubService.getRepositoryContent(target.repoRef, target.path, ref);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`Design document ${location} not found`);
+      }
+      throw error;
+    }
+
+    const isDirectory = Array.isArray(entry);
+    const files = isDirectory
+      ? entry.filter(item => item.type === 'file' && DOCUMENT_FILE.test(item.name))
+        .sort((a, b) => a.path.localeCompare(b.path))
+      : [entry];
+    if (files.length === 0) {
+      throw new Error(`No Markdown or text design documents found in ${location}`);
+    }
+    if (files.length > config.documents.maxRepositoryFiles) {
+      logger.warn(`${location} has ${files.length} documents; only the first ${config.documents.maxRepositoryFiles} are read (DESIGN_DOC_MAX_FILES)`);
+    }
+
+    const pages = [];
+    for (const file of files.slice(0, config.documents.maxRepositoryFiles)) {
+      const text = await this.readFile(target.repoRef, file, ref);
+      pages.push({
+        pageId: `${formatRepo(target.repoRef)}:${file.path}`,
+        title: file.path,
+        url: file.html_url,
+        via: null,
+        sha: file.sha,
+        text,
+        content: { title: findTitle(text) || file.path, version: { number: file.sha.substring(0, 7) } }
+      });
+    }
+
+    return {
+      content: isDirectory
+        ? { title: target.path, version: { number: null } }
+        : pages[0].content,
+      url: isDirectory
+        ? `${getGitHubWebUrl()}/${target.repoRef.owner}/${target.repoRef.repo}/tree/${ref || 'HEAD'}/${target.path}`
+        : pages[0].url,
+      repoRef: target.repoRef,
+      ref,
+      pinnedVersion: null,
+      latestVersion: null,
+      pages,
+      attachments: [],
+      skippedAttachments: [],
+      textContent: pages.length > 1
+        ? pages.map((page, index) => formatPageSection(page, index, page.text)).join('\n\n')
+        : pages[0].text
+    };
+  }
+
+  /**
+   * Read a file's text, falling back to the blob API for files the contents API does not inline
+   * @param {Object} repoRef - Repository reference
+   * @param {Object} file - Contents API file, or a directory entry (which carries no content)
+   * @param {string|null} ref - Ref to read at
+   * @returns {string} File content
+   */
+  async readFile(repoRef, file, ref) {
+    const fetched = file.content !== undefined ? file : await this.githubService.getRepositoryContent(repoRef, file.path, ref);
+    if (fetched.encoding === 'base64' && fetched.content) {
+      return Buffer.from(fetched.content, 'base64').toString('utf8');
+    }
+    // Files over 1 MB come without content
+    return this.githubService.getBlobText(repoRef, file.sha);
+  }
+
+  /**
+   * List the file versions (blob SHAs) the document was read at
+   * @param {Object} doc - Design document from load
+   * @returns {Object[]} Versions ({ pageId, title, version })
+   */
+  listVersions(doc) {
+    return doc.pages.map(page => ({ pageId: page.pageId, title: page.title, version: page.sha }));
+  }
+
+  /**
+   * Find the files that changed since an earlier review, with a diff of each change
+   * @param {Object} doc - Design document from load
+   * @param {Object[]} previousVersions - Versions recorded by the earlier review
+   * @returns {Object[]} Changed files ({ pageId, title, url, fromVersion, toVersion, diff })
+   */
+  async getChanges(doc, previousVersions = []) {
+    const changes = [];
+
+    for (const page of doc.pages) {
+      const previous = previousVersions.find(entry => entry.pageId === page.pageId);
+      if (!previous?.version || previous.version === page.sha) {
+        continue;
+      }
+
+      let diff = null;
+      try {
+        const earlier = await this.githubService.getBlobText(doc.repoRef, previous.version);
+        diff = diffDocumentVersions(earlier, page.text, {
+          from: `${page.title} (${previous.version.substring(0, 7)})`,
+          to: `${page.title} (${page.sha.substring(0, 7)})`
+        });
+      } catch (error) {
+        logger.warn(`Could not read the earlier version of ${page.title} to diff it: ${error.message}`);
+      }
+
+      changes.push({
+        pageId: page.pageId,
+        title: page.title,
+        url: page.url,
+        fromVersion: previous.version.substring(0, 7),
+        toVersion: page.sha.substring(0, 7),
+        diff
+      });
+    }
+    return changes;
+  }
+}
+
+/**
+ * Get the GitHub web URL for the configured API (github.com or a GitHub Enterprise Server host)
+ * @returns {string} Web URL without a trailing slash
+ */
+function getGitHubWebUrl() {
+  const apiUrl = new URL(config.github.apiUrl);
+  if (apiUrl.hostname === 'api.github.com') {
+    return 'https://github.com';
+  }
+  return `${apiUrl.protocol}//${apiUrl.host}`;
+}
+
+/**
+ * Find the first Markdown heading of a document
+ * @param {string} text - Markdown
+ * @returns {string|null} Heading text
+ */
+function findTitle(text) {
+  return text.match(/^#\s+(.+?)\s*#*\s*$/m)?.[1] || null;
+}
@@ -0,0 +1,157 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { formatRepo } from '../utils/repo-ref.js';
+import { getAxiosTransportOptions } from '../utils/http-agent.js';
+import { applyGitHubRequestLayer } from '../utils/github-request-layer.js';
+
+// Refresh installation tokens this long before GitHub expires them
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// GitHub rejects app JWTs that are valid for longer than 10 minutes
+const JWT_LIFETIME_SECONDS = 9 * 60;
+
+/**
+ * GitHub App authentication: signs app JWTs and exchanges them for
+ * installation access tokens, which are cached until shortly before they expire
+ */
+export class GitHubAppAuth {
+  /**
+   * @param {Object} options - App credentials
+   * @param {string} options.appId - The GitHub App ID
+   * @param {string} options.privateKey - The app's PEM encoded private key
+   * @param {string} options.baseURL - GitHub API base URL
+   */
+  constructor({ appId, privateKey, baseURL }) {
+    this.appId = appId;
+    this.privateKey = privateKey;
+    this.apiClient = axios.create({
+      baseURL,
+      headers: {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'pr-design-review-bot/1.0.0'
+      },
+      ...getAxiosTransportOptions(baseURL)
+    });
+    applyGitHubRequestLayer(this.apiClient);
+    this.tokens = new Map();
+    this.pendingTokens = new Map();
+    this.installationIds = new Map();
+  }
+
+  /**
+   * Create a short-lived JWT that authenticates as the app itself
+   * @returns {string} Signed RS256 JWT
+   */
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'RS256', typ: 'JWT' };
+    // Backdate issue time to allow for clock drift between us and GitHub
+    const payload = { iat: now - 60, exp: now + JWT_LIFETIME_SECONDS, iss: String(this.appId) };
+
+    const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.privateKey);
+
+    return `${unsigned}.${base64url(signature)}`;
+  }
+
+  /**
+   * Get authorization headers for app-level endpoints (e.g. GET /app)
+   * @returns {Object} Headers with the app JWT
+   */
+  getAppHeaders() {
+    return { 'Authorization': `Bearer ${this.createJwt()}` };
+  }
+
+  /**
+   * Get a valid installation access token, refreshing it when it is about to expire
+   * @param {number|string} installationId - The installation ID
+   * @returns {string} Installation access token
+   */
+  async getInstallationToken(installationId) {
+    const cached = this.tokens.get(String(installationId));
+    if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      return cached.token;
+    }
+
+    // Share one refresh between concurrent requests for the same installation
+    const key = String(installationId);
+    if (!this.pendingTokens.has(key)) {
+      this.pendingTokens.set(key, this.createInstallationToken(installationId).finally(() => {
+        this.pendingTokens.delete(key);
+      }));
+    }
+    return this.pendingTokens.get(key);
+  }
+
+  /**
+   * Exchange the app JWT for a new installation access token
+   * @param {number|string} installationId - The installation ID
+   * @returns {string} Installation access token
+   */
+  async createInstallationToken(installationId) {
+    try {
+      logger.info(`Requesting installation access token for installation ${installationId}...`);
+
+      const response = await this.apiClient.post(
+        `/app/installations/${installationId}/access_tokens`,
+        {},
+        { headers: this.getAppHeaders() }
+      );
+
+      const { token, expires_at: expiresAt } = response.data;
+      this.tokens.set(String(installationId), { token, expiresAt: new Date(expiresAt).getTime() });
+
+      logger.info(`Installation access token obtained (expires ${expiresAt})`);
+      return token;
+    } catch (error) {
+      logger.error(`Failed to get installation access token for installation ${installationId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a cached installation token (e.g. after GitHub rejected it)
+   * @param {number|string} installationId - The installation ID
+   */
+  invalidateInstallationToken(installationId) {
+    this.tokens.delete(String(installationId));
+  }
+
+  /**
+   * Look up the app installation for a repository
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @returns {number} Installation ID
+   */
+  async getInstallationIdForRepo(repoRef) {
+    const key = formatRepo(repoRef).toLowerCase();
+    if (this.installationIds.has(key)) {
+      return this.installationIds.get(key);
+    }
+
+    try {
+      const response = await this.apiClient.get(
+        `/repos/${encodeURIComponent(repoRef.owner)}/${encodeURIComponent(repoRef.repo)}/installation`,
+        { headers: this.getAppHeaders() }
+      );
+
+      this.installationIds.set(key, response.data.id);
+      logger.debug(`Resolved installation ${response.data.id} for ${formatRepo(repoRef)}`);
+      return response.data.id;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`The GitHub App is not installed on ${formatRepo(repoRef)}`);
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Base64url encode a string or buffer
+ * @param {string|Buffer} value - Value to encode
+ * @returns {string} Base64url encoded value
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
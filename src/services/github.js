@@ -1,6 +1,25 @@
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/index.js';
+import { parseUnifiedDiff } from '../utils/diff-parser.js';
+import { fromApiFiles, fromParsedDiff, toUnifiedDiff, applyDiffBudget } from '../utils/change-list.js';
+import { isBotComment } from '../utils/sticky-comment.js';
+import { ROLE_LEVELS } from '../utils/slash-command.js';
+import { formatRepo } from '../utils/repo-ref.js';
+import { GitHubAppAuth } from './github-app-auth.js';
+import { getAxiosTransportOptions } from '../utils/http-agent.js';
+import { applyGitHubRequestLayer } from '../utils/github-request-layer.js';
+
+// PRs above these sizes are fetched through the files API in 'auto' mode,
+// since GitHub truncates or refuses the single diff for them
+const LARGE_PR_FILES = 300;
+const LARGE_PR_LINES = 20000;
+
+// GitHub's files API returns at most 3000 files
+const MAX_LISTED_FILES = 3000;
+
+// GitHub's compare API returns at most 300 files
+const MAX_COMPARE_FILES = 300;
 
 /**
  * GitHub service using direct API calls for GitHub operations
@@ -8,6 +27,9 @@ import { config } from '../config/index.js';
 export class GitHubService {
   constructor() {
     this.apiClient = null;
+    this.appAuth = null;
+    // Login the bot comments as ("<app-slug>[bot]" for a GitHub App), known after initialize
+    this.botLogin = null;
   }
 
   /**
@@ -15,20 +37,41 @@ export class GitHubService {
    */
   async initialize() {
     try {
-      logger.info('Initializing GitHub API client...');
+      logger.info(`Initializing GitHub API client for ${config.github.apiUrl}...`);
       
-      this.apiClient = axios.create({
-        baseURL: 'https://api.github.com',
-        headers: {
-          'Authorization': `token ${config.github.token}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'User-Agent': 'pr-design-review-bot/1.0.0'
-        }
-      });
+      const baseURL = config.github.apiUrl;
+      const headers = {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'pr-design-review-bot/1.0.0'
+      };
+
+      if (config.github.appId) {
+        // GitHub App: every repository request gets its installation's token
+        this.appAuth = new GitHubAppAuth({
+          appId: config.github.appId,
+          privateKey: config.github.privateKey,
+          baseURL
+        });
+      } else {
+        headers['Authorization'] = `token ${config.github.token}`;
+      }
+
+      this.apiClient = axios.create({ baseURL, headers, ...getAxiosTransportOptions(baseURL) });
+      applyGitHubRequestLayer(this.apiClient);
+
+      if (this.appAuth) {
+        this.installAppAuthentication();
 
-      // Test the connection
-      await this.apiClient.get('/user');
-      logger.info('GitHub API client initialized successfully');
+        // Test the connection
+        const appResponse = await this.apiClient.get('/app', { headers: this.appAuth.getAppHeaders() });
+        this.botLogin = `${appResponse.data.slug}[bot]`;
+        logger.info(`GitHub API client initialized successfully as app "${appResponse.data.slug}"`);
+      } else {
+        // Test the connection
+        const userResponse = await this.apiClient.get('/user');
+        this.botLogin = userResponse.data.login;
+        logger.info(`GitHub API client initialized successfully as ${this.botLogin}`);
+      }
       
       return true;
     } catch (error) {
@@ -37,99 +80,315 @@ export class GitHubService {
     }
   }
 
+  /**
+   * Authenticate repository requests with installation access tokens.
+   * Requests pass their repository as `repoRef` in the axios request config.
+   */
+  installAppAuthentication() {
+    this.apiClient.interceptors.request.use(async (request) => {
+      if (request.repoRef && !request.headers.has('Authorization')) {
+        request.installationId = await this.resolveInstallationId(request.repoRef);
+        const token = await this.appAuth.getInstallationToken(request.installationId);
+        request.headers.set('Authorization', `token ${token}`);
+      }
+      return request;
+    });
+
+    // Retry once with a fresh token if GitHub rejects a cached one
+    this.apiClient.interceptors.response.use(null, async (error) => {
+      const request = error.config;
+      if (error.response?.status === 401 && request?.installationId && !request.tokenRefreshed) {
+        logger.warn(`Installation token for installation ${request.installationId} was rejected - refreshing`);
+        this.appAuth.invalidateInstallationToken(request.installationId);
+        request.tokenRefreshed = true;
+        request.headers.delete('Authorization');
+        return this.apiClient.request(request);
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Find the app installation to authenticate a repository request with
+   * @param {Object} repoRef - Repository reference ({ owner, repo, installationId })
+   * @returns {number|string} Installation ID
+   */
+  async resolveInstallationId(repoRef) {
+    if (repoRef.installationId) {
+      return repoRef.installationId;
+    }
+    if (config.github.installationId) {
+      return config.github.installationId;
+    }
+    return this.appAuth.getInstallationIdForRepo(repoRef);
+  }
+
+  /**
+   * Build the API path prefix for a repository
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @returns {string} The "/repos/{owner}/{repo}" path
+   */
+  repoPath(repoRef) {
+    if (!repoRef?.owner || !repoRef?.repo) {
+      throw new Error('A repository (owner and repo) is required for GitHub API calls');
+    }
+    return `/repos/${encodeURIComponent(repoRef.owner)}/${encodeURIComponent(repoRef.repo)}`;
+  }
+
   /**
    * Get pull request details including changes
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
    * @param {number} prNumber - The pull request number
+   * @param {Object} options - Fetch options
+   * @param {string} options.sinceSha - Previously reviewed commit; only the changes since then are fetched when possible
    * @returns {Object} PR details and changes
    */
-  async getPullRequestDetails(prNumber) {
+  async getPullRequestDetails(repoRef, prNumber, { sinceSha = null } = {}) {
     try {
-      logger.info(`Fetching PR details for PR #${prNumber}...`);
+      logger.info(`Fetching PR details for ${formatRepo(repoRef)}#${prNumber}...`);
       
       // Get PR details
       const prResponse = await this.apiClient.get(
-        `/repos/${config.github.repoOwner}/${config.github.repoName}/pulls/${prNumber}`
+        `${this.repoPath(repoRef)}/pulls/${prNumber}`,
+        { repoRef }
       );
       
       const prData = prResponse.data;
       logger.debug('PR details fetched:', { title: prData.title, state: prData.state });
       
-      // Get PR diff
-      const diffResponse = await this.apiClient.get(
-        `/repos/${config.github.repoOwner}/${config.github.repoName}/pulls/${prNumber}`,
-        {
-          headers: {
-            ...this.apiClient.defaults.headers,
-            'Accept': 'application/vnd.github.v3.diff'
-          }
-        }
-      );
+      // Get the changed files and keep what fits into the review size budget
+      // A re-run on an already reviewed head gets a full review
+      const incremental = sinceSha && sinceSha !== prData.head?.sha
+        ? await this.getCompareChanges(repoRef, sinceSha, prData.head?.sha)
+        : null;
+      const { source, files } = incremental || await this.getPullRequestChanges(repoRef, prNumber, prData);
+      const { included, skipped } = applyDiffBudget(files, config.github.maxDiffChars);
 
-      logger.debug('PR diff fetched');
+      // The files API lists at most 3000 files
+      const totalFiles = incremental ? files.length : Math.max(prData.changed_files || 0, files.length);
+      const unlisted = totalFiles - files.length;
+      const diff = toUnifiedDiff(included);
+
+      const coverage = {
+        source,
+        totalFiles,
+        reviewedFiles: included.length,
+        skippedFiles: skipped,
+        unlistedFiles: unlisted,
+        partial: skipped.length > 0 || unlisted > 0
+      };
+
+      if (coverage.partial) {
+        logger.warn(`PR is too large to review completely: ${included.length} of ${totalFiles} files included`);
+      }
+      logger.debug(`PR changes fetched via ${source} (${files.length} files, ${diff.length} characters of diff)`);
 
       return {
         pr: prData,
-        diff: diffResponse.data,
+        diff,
+        parsedDiff: parseUnifiedDiff(diff),
+        files: included,
+        coverage,
+        incremental: incremental && {
+          baseSha: sinceSha,
+          headSha: prData.head?.sha,
+          commits: incremental.commits
+        },
+        repoRef,
         prNumber
       };
     } catch (error) {
       logger.error(`Failed to fetch PR details for PR #${prNumber}:`, error);
       if (error.response?.status === 404) {
-        throw new Error(`PR #${prNumber} not found in ${config.github.repoOwner}/${config.github.repoName}`);
+        throw new Error(`PR #${prNumber} not found in ${formatRepo(repoRef)}`);
       }
       throw error;
     }
   }
 
   /**
-   * Extract confluence design document URL from PR description
-   * @param {string} prDescription - The PR description text
-   * @returns {string|null} The confluence URL if found
+   * Get the PR's changed files, from the single diff or the paginated files API
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {Object} pr - PR details (for its size)
+   * @returns {Object} The source used ('diff' or 'files') and the change list
+   */
+  async getPullRequestChanges(repoRef, prNumber, pr) {
+    const mode = config.github.diffMode;
+    const isLarge = (pr.changed_files || 0) > LARGE_PR_FILES || (pr.additions || 0) + (pr.deletions || 0) > LARGE_PR_LINES;
+
+    if (mode === 'diff' || (mode === 'auto' && !isLarge)) {
+      try {
+        const diffResponse = await this.apiClient.get(
+          `${this.repoPath(repoRef)}/pulls/${prNumber}`,
+          {
+            repoRef,
+            headers: {
+              ...this.apiClient.defaults.headers,
+              'Accept': 'application/vnd.github.v3.diff'
+            }
+          }
+        );
+
+        logger.debug('PR diff fetched');
+        return { source: 'diff', files: fromParsedDiff(parseUnifiedDiff(diffResponse.data)) };
+      } catch (error) {
+        // GitHub refuses diffs over its size limits with 406 - walk the files API instead
+        if (error.response?.status !== 406 && error.response?.status !== 422) {
+          throw error;
+        }
+        logger.warn(`GitHub could not produce the diff for PR #${prNumber} (${error.response.status}) - falling back to the files API`);
+      }
+    }
+
+    const files = await this.listPullRequestFiles(repoRef, prNumber);
+    return { source: 'files', files: fromApiFiles(files) };
+  }
+
+  /**
+   * Get the changes between a previously reviewed commit and the PR head
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {string} baseSha - Previously reviewed commit
+   * @param {string} headSha - Current head commit
+   * @returns {Object|null} The change list and commit count, or null when a full review is needed
    */
-  extractConfluenceUrl(prDescription) {
+  async getCompareChanges(repoRef, baseSha, headSha) {
     try {
-      logger.info('prDescription Test', prDescription);
-      logger.info('Extracting confluence URL from PR description...');
+      logger.info(`Fetching changes since the last review (${baseSha.substring(0, 7)}...${headSha.substring(0, 7)})...`);
+
+      const response = await this.apiClient.get(
+        `${this.repoPath(repoRef)}/compare/${baseSha}...${headSha}`,
+        { repoRef }
+      );
+      const comparison = response.data;
+
+      // A force push or rebase leaves the reviewed commit off the PR's history
+      if (comparison.status !== 'ahead') {
+        logger.info(`Last reviewed commit is ${comparison.status} of the PR head - running a full review`);
+        return null;
+      }
+      // The compare API lists at most 300 files
+      if ((comparison.files || []).length >= MAX_COMPARE_FILES) {
+        logger.info('Too many files changed since the last review - running a full review');
+        return null;
+      }
+
+      return {
+        source: 'compare',
+        files: fromApiFiles(comparison.files || []),
+        commits: comparison.total_commits
+      };
+    } catch (error) {
+      // The reviewed commit may no longer exist after a force push
+      if (error.response?.status === 404 || error.response?.status === 422) {
+        logger.info(`Last reviewed commit ${baseSha.substring(0, 7)} is no longer available - running a full review`);
+        return null;
+      }
+      logger.error('Failed to compare commits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the PR's changed files with their patches (paginated)
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @returns {Object[]} File entries from the GitHub API
+   */
+  async listPullRequestFiles(repoRef, prNumber) {
+    try {
+      logger.info(`Listing changed files for PR #${prNumber}...`);
+
+      const files = [];
+      let page = 1;
+
+      while (files.length < MAX_LISTED_FILES) {
+        const response = await this.apiClient.get(
+          `${this.repoPath(repoRef)}/pulls/${prNumber}/files`,
+          { repoRef, params: { per_page: 100, page } }
+        );
+        files.push(...response.data);
+        if (response.data.length < 100) {
+          break;
+        }
+        page++;
+      }
+
+      logger.info(`Listed ${files.length} changed file(s) for PR #${prNumber}`);
+      return files;
+    } catch (error) {
+      logger.error(`Failed to list files for PR #${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract every design document reference from the PR description: Confluence URLs,
+   * GitHub file URLs and repository paths. The keys are matched loosely ("design document url"
+   * also occurs in prose), so only captures that are http(s) URLs or that isReference
+   * recognizes are kept.
+   * @param {string} prDescription - The PR description
+   * @param {Object} options - Options
+   * @param {Function} options.isReference - Recognizes other references, e.g. DocumentProviderRegistry.supports
+   * @returns {string[]} Design document references in the order they appear, without duplicates
+   */
+  extractDesignDocumentUrls(prDescription, { isReference = () => false } = {}) {
+    try {
+      logger.info('Extracting design document references from PR description...');
       
-      // Look for confluence_design_document_url in various formats
+      // Look for confluence_design_document_url / design_doc_path in various formats; the key may be repeated
       const patterns = [
-        /confluence_design_document_url[:\s]*([^\s\n]+)/i,
-        /confluence[_\s]*design[_\s]*document[_\s]*url[:\s]*([^\s\n]+)/i,
-        /design[_\s]*document[_\s]*url[:\s]*([^\s\n]+)/i,
-        /confluence[_\s]*url[:\s]*([^\s\n]+)/i
+        /confluence_design_document_url[:\s]*([^\s\n]+)/gi,
+        /confluence[_\s]*design[_\s]*document[_\s]*url[:\s]*([^\s\n]+)/gi,
+        /design[_\s]*document[_\s]*url[:\s]*([^\s\n]+)/gi,
+        /confluence[_\s]*url[:\s]*([^\s\n]+)/gi,
+        /design[_\s]*doc(?:ument)?[_\s]*path[:\s]*([^\s\n]+)/gi
       ];
 
+      const found = [];
       for (const pattern of patterns) {
-        const match = prDescription.match(pattern);
-        if (match && match[1]) {
-          const url = match[1].trim();
-          logger.info('Found confluence URL:', url);
-          return url;
+        for (const match of prDescription.matchAll(pattern)) {
+          const url = match[1].trim().replace(/^<|>$/g, '').replace(/^`|`$/g, '');
+          if (/^https?:\/\//i.test(url) || isReference(url)) {
+            found.push({ index: match.index, url });
+          } else {
+            logger.debug(`Ignoring "${url}" after a design document key - not a URL or document path`);
+          }
         }
       }
 
-      logger.warn('No confluence design document URL found in PR description');
-      return null;
+      // The patterns overlap, so the same link can match more than once
+      const urls = [...new Set(found.sort((a, b) => a.index - b.index).map(entry => entry.url))]
+        .slice(0, config.confluence.maxDocuments);
+
+      if (urls.length === 0) {
+        logger.warn('No design document reference found in PR description');
+      } else {
+        logger.info(`Found ${urls.length} design document reference(s):`, urls.join(', '));
+      }
+      return urls;
     } catch (error) {
-      logger.error('Error extracting confluence URL:', error);
-      return null;
+      logger.error('Error extracting design document references:', error);
+      return [];
     }
   }
 
   /**
    * Add a comment to the pull request
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
    * @param {number} prNumber - The pull request number
    * @param {string} comment - The comment text
    */
-  async addPullRequestComment(prNumber, comment) {
+  async addPullRequestComment(repoRef, prNumber, comment) {
     try {
       logger.info(`Adding comment to PR #${prNumber}...`);
       
       const response = await this.apiClient.post(
-        `/repos/${config.github.repoOwner}/${config.github.repoName}/issues/${prNumber}/comments`,
+        `${this.repoPath(repoRef)}/issues/${prNumber}/comments`,
         {
           body: comment
-        }
+        },
+        { repoRef }
       );
 
       logger.info('Comment added successfully to PR');
@@ -140,6 +399,362 @@ export class GitHubService {
     }
   }
 
+  /**
+   * List all issue comments on the pull request
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @returns {Object[]} The comments, oldest first
+   */
+  async listIssueComments(repoRef, prNumber) {
+    try {
+      const comments = [];
+      let page = 1;
+
+      while (true) {
+        const response = await this.apiClient.get(
+          `${this.repoPath(repoRef)}/issues/${prNumber}/comments`,
+          { repoRef, params: { per_page: 100, page } }
+        );
+        comments.push(...response.data);
+        if (response.data.length < 100) {
+          break;
+        }
+        page++;
+      }
+
+      logger.debug(`Fetched ${comments.length} comment(s) for PR #${prNumber}`);
+      return comments;
+    } catch (error) {
+      logger.error(`Failed to list comments for PR #${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the bot's own summary comment on the pull request. Only comments written by the bot's
+   * login count: anyone can paste the marker (and a forged review state) into a comment.
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @returns {Object|null} The most recent bot comment, if any
+   */
+  async findBotComment(repoRef, prNumber) {
+    const comments = await this.listIssueComments(repoRef, prNumber);
+    const botComments = comments.filter(comment => isBotComment(comment.body) && comment.user?.login === this.botLogin);
+    return botComments.length > 0 ? botComments[botComments.length - 1] : null;
+  }
+
+  /**
+   * Update an existing issue comment
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} commentId - The comment ID
+   * @param {string} comment - The new comment text
+   */
+  async updateIssueComment(repoRef, commentId, comment) {
+    try {
+      logger.info(`Updating comment ${commentId}...`);
+
+      const response = await this.apiClient.patch(
+        `${this.repoPath(repoRef)}/issues/comments/${commentId}`,
+        {
+          body: comment
+        },
+        { repoRef }
+      );
+
+      logger.info('Comment updated successfully');
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to update comment ${commentId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a pull request review with line-level comments
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {Object} review - Review contents
+   * @param {string} review.commitId - SHA of the commit the comments refer to
+   * @param {string} review.body - Summary body of the review
+   * @param {Object[]} review.comments - Inline comments ({ path, line, side, body })
+   * @param {string} review.event - Review event (COMMENT, REQUEST_CHANGES or APPROVE)
+   */
+  async createPullRequestReview(repoRef, prNumber, { commitId, body, comments = [], event = 'COMMENT' }) {
+    try {
+      logger.info(`Submitting review with ${comments.length} inline comment(s) to PR #${prNumber}...`);
+
+      const response = await this.apiClient.post(
+        `${this.repoPath(repoRef)}/pulls/${prNumber}/reviews`,
+        {
+          commit_id: commitId,
+          body,
+          event,
+          comments
+        },
+        { repoRef }
+      );
+
+      logger.info('Review submitted successfully to PR');
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to submit review to PR #${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a check run on a commit
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {Object} checkRun - Check run fields (name, head_sha, status, output, ...)
+   * @returns {Object} The created check run
+   */
+  async createCheckRun(repoRef, checkRun) {
+    try {
+      logger.info(`Creating check run "${checkRun.name}" on ${checkRun.head_sha}...`);
+
+      const response = await this.apiClient.post(
+        `${this.repoPath(repoRef)}/check-runs`,
+        checkRun,
+        { repoRef }
+      );
+
+      logger.info('Check run created successfully');
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to create check run:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing check run
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} checkRunId - The check run ID
+   * @param {Object} checkRun - Fields to update (status, conclusion, output, ...)
+   * @returns {Object} The updated check run
+   */
+  async updateCheckRun(repoRef, checkRunId, checkRun) {
+    try {
+      logger.info(`Updating check run ${checkRunId}...`);
+
+      const response = await this.apiClient.patch(
+        `${this.repoPath(repoRef)}/check-runs/${checkRunId}`,
+        checkRun,
+        { repoRef }
+      );
+
+      logger.info('Check run updated successfully');
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to update check run ${checkRunId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a commit status
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {string} sha - The commit SHA
+   * @param {Object} status - Status fields (state, context, description, target_url)
+   * @returns {Object} The created status
+   */
+  async createCommitStatus(repoRef, sha, status) {
+    try {
+      logger.info(`Setting commit status "${status.context}" to ${status.state} on ${sha}...`);
+
+      const response = await this.apiClient.post(
+        `${this.repoPath(repoRef)}/statuses/${sha}`,
+        status,
+        { repoRef }
+      );
+
+      logger.info('Commit status set successfully');
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to set commit status on ${sha}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List the labels on a pull request (paginated)
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @returns {Object[]} The labels
+   */
+  async listIssueLabels(repoRef, prNumber) {
+    try {
+      const labels = [];
+      let page = 1;
+
+      while (true) {
+        const response = await this.apiClient.get(
+          `${this.repoPath(repoRef)}/issues/${prNumber}/labels`,
+          { repoRef, params: { per_page: 100, page } }
+        );
+        labels.push(...response.data);
+        if (response.data.length < 100) {
+          break;
+        }
+        page++;
+      }
+
+      return labels;
+    } catch (error) {
+      logger.error(`Failed to list labels on PR #${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add labels to a pull request (GitHub creates labels that do not exist yet)
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {string[]} labels - Label names
+   * @returns {Object[]} All labels on the pull request
+   */
+  async addIssueLabels(repoRef, prNumber, labels) {
+    try {
+      const response = await this.apiClient.post(
+        `${this.repoPath(repoRef)}/issues/${prNumber}/labels`,
+        { labels },
+        { repoRef }
+      );
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to add labels to PR #${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a label from a pull request
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {string} label - Label name
+   */
+  async removeIssueLabel(repoRef, prNumber, label) {
+    try {
+      await this.apiClient.delete(
+        `${this.repoPath(repoRef)}/issues/${prNumber}/labels/${encodeURIComponent(label)}`,
+        { repoRef }
+      );
+    } catch (error) {
+      // Already removed, e.g. by someone else in the meantime
+      if (error.response?.status === 404) {
+        return;
+      }
+      logger.error(`Failed to remove label "${label}" from PR #${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's role on a repository. Custom repository roles are reported by the built-in
+   * permission they are based on.
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {string} username - GitHub login
+   * @returns {string} 'admin', 'maintain', 'write', 'triage', 'read' or 'none'
+   */
+  async getCollaboratorPermission(repoRef, username) {
+    try {
+      const response = await this.apiClient.get(
+        `${this.repoPath(repoRef)}/collaborators/${encodeURIComponent(username)}/permission`,
+        { repoRef }
+      );
+      // role_name includes the triage and maintain roles that "permission" folds into read and write,
+      // but holds the name of a custom role as it is; "permission" has that role's base permission
+      const { role_name: roleName, permission } = response.data;
+      return ROLE_LEVELS.includes(roleName) ? roleName : permission || 'none';
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return 'none';
+      }
+      logger.error(`Failed to get the permission of ${username} on ${formatRepo(repoRef)}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * React to an issue comment
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} commentId - The comment ID
+   * @param {string} content - Reaction ('+1', '-1', 'eyes', 'rocket', 'confused', ...)
+   * @returns {Object} The created reaction
+   */
+  async addCommentReaction(repoRef, commentId, content) {
+    try {
+      const response = await this.apiClient.post(
+        `${this.repoPath(repoRef)}/issues/comments/${commentId}/reactions`,
+        { content },
+        { repoRef }
+      );
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to add reaction to comment ${commentId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a pull request without its changes
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @returns {Object} The pull request
+   */
+  async getPullRequest(repoRef, prNumber) {
+    try {
+      const response = await this.apiClient.get(`${this.repoPath(repoRef)}/pulls/${prNumber}`, { repoRef });
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to fetch PR #${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a file or directory listing with the contents API
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {string} path - Path in the repository
+   * @param {string} ref - Branch, tag or commit; the default branch when omitted
+   * @param {Object} options - Options
+   * @param {boolean} options.allowMissing - Return null for a path that does not exist, without logging an error
+   * @returns {Object|Object[]|null} The file (with base64 content) or the directory entries
+   */
+  async getRepositoryContent(repoRef, path, ref = null, { allowMissing = false } = {}) {
+    try {
+      const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+      const response = await this.apiClient.get(
+        `${this.repoPath(repoRef)}/contents/${encodedPath}`,
+        { repoRef, params: ref ? { ref } : {} }
+      );
+      return response.data;
+    } catch (error) {
+      if (allowMissing && error.response?.status === 404) {
+        logger.debug(`${path} does not exist in ${formatRepo(repoRef)}${ref ? `@${ref}` : ''}`);
+        return null;
+      }
+      logger.error(`Failed to read ${path} in ${formatRepo(repoRef)}${ref ? `@${ref}` : ''}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a blob as text (files over 1 MB have no content in the contents API)
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {string} sha - Blob SHA
+   * @returns {string} UTF-8 content
+   */
+  async getBlobText(repoRef, sha) {
+    try {
+      const response = await this.apiClient.get(`${this.repoPath(repoRef)}/git/blobs/${sha}`, { repoRef });
+      return Buffer.from(response.data.content || '', response.data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+    } catch (error) {
+      logger.error(`Failed to read blob ${sha} in ${formatRepo(repoRef)}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Close the GitHub API client connection (cleanup)
    */
@@ -0,0 +1,221 @@
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { getAxiosTransportOptions } from '../utils/http-agent.js';
+import { extractIssueKeys } from '../utils/issue-keys.js';
+
+// Remote links created by the Confluence integration ("mentioned in" / "linked page")
+const CONFLUENCE_APPLICATION_TYPE = 'com.atlassian.confluence';
+
+// Candidate keys looked up per PR, so a description listing many keys does not flood Jira
+const MAX_KEY_LOOKUPS = 20;
+
+// Longest description or acceptance criteria text passed on
+const MAX_FIELD_CHARS = 4000;
+
+/**
+ * Jira service for the issues a PR references: their summary, description and
+ * acceptance criteria, and the Confluence pages linked to them.
+ * Uses REST API v2, which Jira Cloud and Jira Server / Data Center both offer.
+ */
+export class JiraService {
+  constructor() {
+    this.apiClient = null;
+    // Acceptance criteria field ID; undefined until looked up, null when the site has none
+    this.acceptanceCriteriaField = config.jira.acceptanceCriteriaField || undefined;
+  }
+
+  /**
+   * Initialize the Jira API client
+   */
+  async initialize() {
+    try {
+      logger.info(`Initializing Jira API client for ${config.jira.baseUrl}...`);
+
+      const baseURL = config.jira.baseUrl;
+      this.apiClient = axios.create({
+        baseURL,
+        headers: {
+          'Authorization': this.getAuthorizationHeader(),
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        ...getAxiosTransportOptions(baseURL)
+      });
+
+      // Test the connection
+      await this.apiClient.get('/rest/api/2/myself');
+      logger.info('Jira API client initialized successfully');
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize Jira API client:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the Authorization header: Bearer for personal access tokens, Basic for email + API token
+   * @returns {string} Authorization header value
+   */
+  getAuthorizationHeader() {
+    if (config.jira.personalAccessToken) {
+      return `Bearer ${config.jira.personalAccessToken}`;
+    }
+    const auth = Buffer.from(`${config.confluence.email}:${config.confluence.apiToken}`).toString('base64');
+    return `Basic ${auth}`;
+  }
+
+  /**
+   * Find the issue keys a PR references in its title, branch name or description
+   * @param {Object} pr - Pull request from the GitHub API
+   * @returns {string[]} Candidate issue keys, most specific source first
+   */
+  findIssueKeys(pr) {
+    return extractIssueKeys(
+      { title: pr.title, branch: pr.head?.ref, body: pr.body },
+      { projectKeys: config.jira.projectKeys }
+    ).slice(0, MAX_KEY_LOOKUPS);
+  }
+
+  /**
+   * Fetch the issues a PR references, with the Confluence pages linked to each.
+   * Keys that are not issues (or not visible) are skipped and do not count against JIRA_MAX_ISSUES.
+   * Issues are optional context: one that cannot be read for another reason (timeout, server
+   * error) is reported in failures rather than failing the review.
+   * @param {Object} pr - Pull request from the GitHub API
+   * @returns {Object} { issues, failures }: issues ({ key, summary, description, acceptanceCriteria,
+   *   status, type, url, designDocUrls }) and the keys that could not be read ({ key, message })
+   */
+  async getIssuesForPullRequest(pr) {
+    const keys = this.findIssueKeys(pr);
+    if (keys.length === 0) {
+      return { issues: [], failures: [] };
+    }
+
+    logger.info(`Found Jira issue key(s) in PR #${pr.number}: ${keys.join(', ')}`);
+    const issues = [];
+    const failures = [];
+    for (const key of keys) {
+      if (issues.length >= config.jira.maxIssues) {
+        logger.info(`Read ${issues.length} Jira issue(s) (JIRA_MAX_ISSUES) - not looking up ${keys.slice(keys.indexOf(key)).join(', ')}`);
+        break;
+      }
+      try {
+        const issue = await this.getIssue(key);
+        issue.designDocUrls = await this.getDesignDocumentLinks(key);
+        issues.push(issue);
+      } catch (error) {
+        // Text like "ISO-8601" looks like a key but is no issue
+        const status = error.response?.status;
+        if (status === 404 || status === 403 || status === 401) {
+          logger.warn(`Jira issue ${key} not found or not accessible - skipping`);
+        } else {
+          logger.warn(`Could not read Jira issue ${key} (${error.message}) - reviewing without it`);
+          failures.push({ key, message: error.message });
+        }
+      }
+    }
+    return { issues, failures };
+  }
+
+  /**
+   * Fetch an issue's summary, description and acceptance criteria
+   * @param {string} key - Issue key, e.g. PLAT-1234
+   * @returns {Object} Issue ({ key, summary, description, acceptanceCriteria, status, type, url })
+   */
+  async getIssue(key) {
+    const acceptanceCriteriaField = await this.getAcceptanceCriteriaField();
+    const fields = ['summary', 'description', 'status', 'issuetype', acceptanceCriteriaField].filter(Boolean);
+
+    const response = await this.apiClient.get(`/rest/api/2/issue/${encodeURIComponent(key)}`, {
+      params: { fields: fields.join(',') }
+    });
+    const issue = response.data;
+
+    return {
+      key: issue.key,
+      summary: issue.fields.summary || '',
+      description: toPlainText(issue.fields.description),
+      acceptanceCriteria: acceptanceCriteriaField ? toPlainText(issue.fields[acceptanceCriteriaField]) : '',
+      status: issue.fields.status?.name || null,
+      type: issue.fields.issuetype?.name || null,
+      url: `${config.jira.baseUrl}/browse/${issue.key}`
+    };
+  }
+
+  /**
+   * Find the custom field that holds acceptance criteria, by name unless JIRA_ACCEPTANCE_CRITERIA_FIELD is set
+   * @returns {string|null} Field ID, or null when the site has no such field
+   */
+  async getAcceptanceCriteriaField() {
+    if (this.acceptanceCriteriaField !== undefined) {
+      return this.acceptanceCriteriaField;
+    }
+
+    try {
+      const response = await this.apiClient.get('/rest/api/2/field');
+      const field = response.data.find(entry => /^acceptance criteria$/i.test(entry.name?.trim() || ''));
+      this.acceptanceCriteriaField = field?.id || null;
+      logger.debug(`Jira acceptance criteria field: ${this.acceptanceCriteriaField || 'none'}`);
+    } catch (error) {
+      logger.warn(`Could not list Jira fields to find the acceptance criteria field: ${error.message}`);
+      this.acceptanceCriteriaField = null;
+    }
+    return this.acceptanceCriteriaField;
+  }
+
+  /**
+   * Get the Confluence pages linked to an issue as remote links
+   * @param {string} key - Issue key
+   * @returns {string[]} Confluence page URLs
+   */
+  async getDesignDocumentLinks(key) {
+    const response = await this.apiClient.get(`/rest/api/2/issue/${encodeURIComponent(key)}/remotelink`);
+
+    const urls = (response.data || [])
+      .filter(link => link.application?.type === CONFLUENCE_APPLICATION_TYPE ||
+        (config.confluence.baseUrl && link.object?.url?.startsWith(config.confluence.baseUrl)))
+      .map(link => link.object?.url)
+      .filter(Boolean);
+    return [...new Set(urls)];
+  }
+
+  /**
+   * Close the Jira API client connection (cleanup)
+   */
+  async close() {
+    try {
+      // No specific cleanup needed for axios client
+      logger.info('Jira API client closed');
+    } catch (error) {
+      logger.error('Error closing Jira API client:', error);
+    }
+  }
+}
+
+/**
+ * Turn a text field into plain text: wiki markup strings are kept, Atlassian Document Format
+ * (returned for rich text fields on some Cloud sites) is flattened
+ * @param {string|Object|null} value - Field value
+ * @returns {string} Text, cut at MAX_FIELD_CHARS
+ */
+function toPlainText(value) {
+  if (!value) {
+    return '';
+  }
+
+  const flatten = node => {
+    if (node.type === 'text') {
+      return node.text || '';
+    }
+    const children = (node.content || []).map(flatten).join('');
+    if (node.type === 'listItem') {
+      return `- ${children.trim()}\n`;
+    }
+    return ['paragraph', 'heading', 'codeBlock'].includes(node.type) ? `${children}\n` : children;
+  };
+
+  const text = (typeof value === 'string' ? value : flatten(value)).trim();
+  return text.length > MAX_FIELD_CHARS ? `${text.substring(0, MAX_FIELD_CHARS)}\n... (truncated)` : text;
+}
@@ -0,0 +1,71 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { determineConclusion } from './checks.js';
+
+// Verdict label of each check conclusion, so the label and the check always agree
+const CONCLUSION_VERDICTS = {
+  success: 'aligned',
+  neutral: 'drift',
+  failure: 'drift'
+};
+
+/**
+ * Determine the verdict label key from the review findings
+ * @param {Object[]} findings - Open review findings
+ * @returns {string} 'drift' when the check is not a success (critical issues or warnings are open), otherwise 'aligned'
+ */
+export function determineVerdict(findings = []) {
+  return CONCLUSION_VERDICTS[determineConclusion(findings)];
+}
+
+/**
+ * Keeps exactly one design-review verdict label on a PR, removing the labels
+ * of earlier verdicts
+ */
+export class LabelManager {
+  constructor(githubService) {
+    this.githubService = githubService;
+    this.settings = config.github.labels;
+  }
+
+  /**
+   * All verdict labels the bot manages
+   * @returns {Object} Label names by verdict ('aligned', 'drift', 'missingDoc', 'failed')
+   */
+  getVerdictLabels() {
+    const { enabled, ...labels } = this.settings;
+    return labels;
+  }
+
+  /**
+   * Apply the label for a verdict and remove the other verdict labels
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @param {string} verdict - 'aligned', 'drift', 'missingDoc' or 'failed'
+   */
+  async applyVerdict(repoRef, prNumber, verdict) {
+    if (!this.settings.enabled) {
+      return;
+    }
+
+    try {
+      const managed = Object.values(this.getVerdictLabels()).filter(Boolean);
+      const target = this.getVerdictLabels()[verdict] || null;
+      const current = (await this.githubService.listIssueLabels(repoRef, prNumber)).map(label => label.name);
+
+      const stale = current.filter(name => managed.includes(name) && name !== target);
+      for (const name of stale) {
+        await this.githubService.removeIssueLabel(repoRef, prNumber, name);
+      }
+
+      if (target && !current.includes(target)) {
+        await this.githubService.addIssueLabels(repoRef, prNumber, [target]);
+      }
+
+      logger.info(`Design review label for PR #${prNumber}: ${target || 'none'}${stale.length > 0 ? ` (removed ${stale.join(', ')})` : ''}`);
+    } catch (error) {
+      // Labels are for triage only and must never fail the review
+      logger.error(`Failed to update design review labels on PR #${prNumber}:`, error.message);
+    }
+  }
+}
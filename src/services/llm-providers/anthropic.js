@@ -0,0 +1,72 @@
+import axios from 'axios';
+import { getAxiosTransportOptions } from '../../utils/http-agent.js';
+import { REVIEW_TEMPERATURE } from './openai.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API (/v1/messages)
+ */
+export class AnthropicProvider {
+  /**
+   * @param {Object} llmConfig - LLM configuration (config.llm)
+   */
+  constructor(llmConfig) {
+    this.name = 'anthropic';
+    this.model = llmConfig.model;
+    this.apiKey = llmConfig.anthropicApiKey;
+    this.url = `${llmConfig.baseUrl.replace(/\/$/, '').replace(/\/v1$/, '')}/v1/messages`;
+  }
+
+  /**
+   * Describe the endpoint for logs
+   * @returns {string} Provider, model and URL
+   */
+  describe() {
+    return `Anthropic Messages API, model ${this.model} at ${this.url}`;
+  }
+
+  /**
+   * Build the Messages API request. The system prompt is a top-level field and max_tokens is required.
+   * A JSON schema is enforced by making the model call a tool that takes the schema as its input.
+   * @param {Object} request - Completion request ({ system, prompt, maxTokens, schema })
+   * @returns {Object} Request body
+   */
+  buildRequest({ system, prompt, maxTokens, schema = null }) {
+    return {
+      model: this.model,
+      system,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      temperature: REVIEW_TEMPERATURE,
+      ...(schema && {
+        tools: [{ name: schema.name, description: schema.description, input_schema: schema.schema }],
+        tool_choice: { type: 'tool', name: schema.name }
+      })
+    };
+  }
+
+  /**
+   * Send a prompt and return the response text; with a schema, the tool input as JSON
+   * @param {Object} request - Completion request ({ system, prompt, maxTokens, schema })
+   * @returns {string} Response text
+   */
+  async complete(request) {
+    const response = await axios.post(this.url, this.buildRequest(request), {
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      ...getAxiosTransportOptions(this.url)
+    });
+    const toolUse = (response.data.content || []).find(block => block.type === 'tool_use');
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+    return (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
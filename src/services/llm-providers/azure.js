@@ -0,0 +1,88 @@
+import { AzureOpenAI } from 'openai';
+import { logger } from '../../utils/logger.js';
+import { getHttpAgent } from '../../utils/http-agent.js';
+import { REVIEW_TEMPERATURE, isReasoningModel, supportsStructuredOutputs, buildJsonSchemaFormat } from './openai.js';
+
+// API versions from this one on take max_completion_tokens instead of max_tokens, and JSON schemas
+const MAX_COMPLETION_TOKENS_API_VERSION = '2024-08-01-preview';
+
+/**
+ * Normalize an Azure OpenAI resource URL: https://<resource>.openai.azure.com without a trailing slash.
+ * Other Azure hosts are converted to the openai.azure.com form of the same resource.
+ * @param {string} baseUrl - Configured base URL
+ * @returns {string} Resource endpoint
+ */
+export function normalizeAzureEndpoint(baseUrl) {
+  let endpoint = baseUrl.replace(/\/$/, '').replace(/\/openai$/, '');
+  if (!endpoint.includes('openai.azure.com') && !endpoint.includes('cognitiveservices.azure.com')) {
+    const resourceName = endpoint.match(/https:\/\/([^.]+)/)?.[1];
+    if (resourceName) {
+      endpoint = `https://${resourceName}.openai.azure.com`;
+      logger.info(`Converted URL to OpenAI format: ${endpoint}`);
+    }
+  }
+  return endpoint;
+}
+
+/**
+ * Azure OpenAI chat completions on a deployment (/openai/deployments/<deployment>/chat/completions)
+ */
+export class AzureOpenAIProvider {
+  /**
+   * @param {Object} llmConfig - LLM configuration (config.llm)
+   */
+  constructor(llmConfig) {
+    this.name = 'azure';
+    this.model = llmConfig.model;
+    this.deployment = llmConfig.deploymentName || llmConfig.model;
+    this.apiVersion = llmConfig.apiVersion;
+    this.endpoint = normalizeAzureEndpoint(llmConfig.baseUrl);
+    // baseURL rather than endpoint: the client would otherwise also pick up OPENAI_BASE_URL and reject both
+    this.client = new AzureOpenAI({
+      apiKey: llmConfig.openaiApiKey,
+      baseURL: `${this.endpoint}/openai`,
+      deployment: this.deployment,
+      apiVersion: this.apiVersion,
+      httpAgent: getHttpAgent(this.endpoint)
+    });
+  }
+
+  /**
+   * Describe the endpoint for logs
+   * @returns {string} Provider, deployment and URL
+   */
+  describe() {
+    return `Azure OpenAI deployment ${this.deployment} at ${this.endpoint} (API version ${this.apiVersion})`;
+  }
+
+  /**
+   * Build the chat completions request. The token parameter and JSON schema support depend on
+   * the API version, the temperature on the model behind the deployment.
+   * @param {Object} request - Completion request ({ system, prompt, maxTokens, schema })
+   * @returns {Object} Request body
+   */
+  buildRequest({ system, prompt, maxTokens, schema = null }) {
+    const completionTokens = this.apiVersion >= MAX_COMPLETION_TOKENS_API_VERSION;
+    const structured = schema && completionTokens && supportsStructuredOutputs(this.model);
+    return {
+      model: this.deployment,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      ...(isReasoningModel(this.model) ? {} : { temperature: REVIEW_TEMPERATURE }),
+      ...(completionTokens ? { max_completion_tokens: maxTokens } : { max_tokens: maxTokens }),
+      ...(structured ? { response_format: buildJsonSchemaFormat(schema) } : {})
+    };
+  }
+
+  /**
+   * Send a prompt and return the response text
+   * @param {Object} request - Completion request ({ system, prompt, maxTokens, schema })
+   * @returns {string} Response text
+   */
+  async complete(request) {
+    const response = await this.client.chat.completions.create(this.buildRequest(request));
+    return response.choices[0].message.content;
+  }
+}
@@ -0,0 +1,33 @@
+import { OpenAIChatProvider } from './openai.js';
+import { AzureOpenAIProvider } from './azure.js';
+import { ResponsesProvider } from './responses.js';
+import { AnthropicProvider } from './anthropic.js';
+import { OllamaProvider } from './ollama.js';
+
+/**
+ * LLM providers by LLM_PROVIDER value. Every provider offers:
+ * - name: the LLM_PROVIDER value
+ * - describe(): the endpoint and model, for logs
+ * - complete({ system, prompt, maxTokens, schema }): the response text, with the provider's own parameter rules
+ *   applied; with a schema ({ name, description, schema }), JSON constrained to it where the API supports that
+ */
+const PROVIDERS = {
+  openai: OpenAIChatProvider,
+  azure: AzureOpenAIProvider,
+  responses: ResponsesProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider
+};
+
+/**
+ * Create the configured LLM provider
+ * @param {Object} llmConfig - LLM configuration (config.llm)
+ * @returns {Object} The provider
+ */
+export function createLLMProvider(llmConfig) {
+  const Provider = PROVIDERS[llmConfig.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${llmConfig.provider}" - use one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(llmConfig);
+}
@@ -0,0 +1,60 @@
+import OpenAI from 'openai';
+import { getHttpAgent } from '../../utils/http-agent.js';
+import { REVIEW_TEMPERATURE, buildJsonSchemaFormat } from './openai.js';
+
+/**
+ * Ollama, or another local server with an OpenAI-compatible chat completions API (LM Studio, vLLM, ...)
+ */
+export class OllamaProvider {
+  /**
+   * @param {Object} llmConfig - LLM configuration (config.llm)
+   */
+  constructor(llmConfig) {
+    this.name = 'ollama';
+    this.model = llmConfig.model;
+    this.baseUrl = llmConfig.baseUrl;
+    this.client = new OpenAI({
+      // Local servers ignore the key, but the client requires one
+      apiKey: llmConfig.openaiApiKey || 'ollama',
+      baseURL: llmConfig.baseUrl,
+      httpAgent: getHttpAgent(llmConfig.baseUrl)
+    });
+  }
+
+  /**
+   * Describe the endpoint for logs
+   * @returns {string} Provider, model and URL
+   */
+  describe() {
+    return `OpenAI-compatible local server, model ${this.model} at ${this.baseUrl}`;
+  }
+
+  /**
+   * Build the chat completions request. Local servers take the classic parameters whatever the model,
+   * and constrain the output to a JSON schema (Ollama 0.5 and later).
+   * @param {Object} request - Completion request ({ system, prompt, maxTokens, schema })
+   * @returns {Object} Request body
+   */
+  buildRequest({ system, prompt, maxTokens, schema = null }) {
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature: REVIEW_TEMPERATURE,
+      max_tokens: maxTokens,
+      ...(schema ? { response_format: buildJsonSchemaFormat(schema) } : {})
+    };
+  }
+
+  /**
+   * Send a prompt and return the response text
+   * @param {Object} request - Completion request ({ system, prompt, maxTokens, schema })
+   * @returns {string} Response text
+   */
+  async complete(request) {
+    const response = await this.client.chat.completions.create(this.buildRequest(request));
+    return response.choices[0].message.content;
+  }
+}
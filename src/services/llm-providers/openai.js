@@ -0,0 +1,98 @@
+import OpenAI from 'openai';
+import { getHttpAgent } from '../../utils/http-agent.js';
+
+// Temperature used for reviews where the model accepts one
+export const REVIEW_TEMPERATURE = 0.3;
+
+// Reasoning models (o1, o3, gpt-5, gpt-5-nano, ...) only accept the default temperature and
+// count output with max_completion_tokens instead of max_tokens
+const REASONING_MODEL = /^(o\d|gpt-5)/i;
+
+// Models that can be constrained to a JSON schema (structured outputs); older ones get the schema in the prompt only
+const STRUCTURED_OUTPUT_MODEL = /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/i;
+
+/**
+ * Whether a model belongs to the reasoning models and their parameter rules
+ * @param {string} model - Model name
+ * @returns {boolean} Whether the model is a reasoning model
+ */
+export function isReasoningModel(model) {
+  return REASONING_MODEL.test(model || '');
+}
+
+/**
+ * Whether a model can be constrained to a JSON schema
+ * @param {string} model - Model name
+ * @returns {boolean} Whether the model supports structured outputs
+ */
+export function supportsStructuredOutputs(model) {
+  return STRUCTURED_OUTPUT_MODEL.test(model || '');
+}
+
+/**
+ * Build the chat completions response_format for a JSON schema
+ * @param {Object} schema - Response schema ({ name, description, schema })
+ * @returns {Object} response_format value
+ */
+export function buildJsonSchemaFormat(schema) {
+  return {
+    type: 'json_schema',
+    json_schema: { name: schema.name, description: schema.description, schema: schema.schema, strict: true }
+  };
+}
+
+/**
+ * OpenAI Chat Completions API (api.openai.com or a compatible gateway set with OPENAI_BASE_URL)
+ */
+export class OpenAIChatProvider {
+  /**
+   * @param {Object} llmConfig - LLM configuration (config.llm)
+   */
+  constructor(llmConfig) {
+    this.name = 'openai';
+    this.model = llmConfig.model;
+    this.baseUrl = llmConfig.baseUrl;
+    this.client = new OpenAI({
+      apiKey: llmConfig.openaiApiKey,
+      baseURL: llmConfig.baseUrl,
+      httpAgent: getHttpAgent(llmConfig.baseUrl)
+    });
+  }
+
+  /**
+   * Describe the endpoint for logs
+   * @returns {string} Provider, model and URL
+   */
+  describe() {
+    return `OpenAI chat completions, model ${this.model} at ${this.baseUrl}`;
+  }
+
+  /**
+   * Build the chat completions request, applying the model's parameter rules
+   * @param {Object} request - Completion request ({ system, prompt, maxTokens, schema })
+   * @returns {Object} Request body
+   */
+  buildRequest({ system, prompt, maxTokens, schema = null }) {
+    const reasoning = isReasoningModel(this.model);
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      ...(reasoning ? {} : { temperature: REVIEW_TEMPERATURE }),
+      ...(reasoning ? { max_completion_tokens: maxTokens } : { max_tokens: maxTokens }),
+      ...(schema && supportsStructuredOutputs(this.model) ? { response_format: buildJsonSchemaFormat(schema) } : {})
+    };
+  }
+
+  /**
+   * Send a prompt and return the response text
+   * @param {Object} request - Completion request ({ system, prompt, maxTokens, schema })
+   * @returns {string} Response text
+   */
+  async complete(request) {
+    const response = await this.client.chat.completions.create(this.buildRequest(request));
+    return response.choices[0].message.content;
+  }
+}
@@ -0,0 +1,112 @@
+import axios from 'axios';
+import { logger } from '../../utils/logger.js';
+import { getAxiosTransportOptions } from '../../utils/http-agent.js';
+import { REVIEW_TEMPERATURE, isReasoningModel, supportsStructuredOutputs } from './openai.js';
+import { normalizeAzureEndpoint } from './azure.js';
+
+/**
+ * Responses API (/responses) on OpenAI, or on an Azure resource (/openai/responses?api-version=...)
+ */
+export class ResponsesProvider {
+  /**
+   * @param {Object} llmConfig - LLM configuration (config.llm)
+   */
+  constructor(llmConfig) {
+    this.name = 'responses';
+    this.model = llmConfig.deploymentName || llmConfig.model;
+    this.isAzure = llmConfig.isAzure;
+    this.apiKey = llmConfig.openaiApiKey;
+    this.url = this.isAzure
+      ? `${normalizeAzureEndpoint(llmConfig.baseUrl)}/openai/responses?api-version=${llmConfig.apiVersion}`
+      : `${llmConfig.baseUrl.replace(/\/$/, '')}/responses`;
+  }
+
+  /**
+   * Describe the endpoint for logs
+   * @returns {string} Provider, model and URL
+   */
+  describe() {
+    return `${this.isAzure ? 'Azure ' : ''}Responses API, model ${this.model} at ${this.url}`;
+  }
+
+  /**
+   * Build the Responses API request
+   * @param {Object} request - Completion request ({ system, prompt, maxTokens, schema })
+   * @returns {Object} Request body
+   */
+  buildRequest({ system, prompt, maxTokens, schema = null }) {
+    return {
+      model: this.model,
+      instructions: system,
+      input: [
+        {
+          role: 'user',
+          content: [{ type: 'input_text', text: prompt }]
+        }
+      ],
+      max_output_tokens: maxTokens,
+      ...(isReasoningModel(this.model) ? {} : { temperature: REVIEW_TEMPERATURE }),
+      ...(schema && supportsStructuredOutputs(this.model)
+        ? { text: { format: { type: 'json_schema', name: schema.name, description: schema.description, schema: schema.schema, strict: true } } }
+        : {})
+    };
+  }
+
+  /**
+   * Send a prompt and return the response text
+   * @param {Object} request - Completion request ({ system, prompt, maxTokens, schema })
+   * @returns {string} Response text
+   */
+  async complete(request) {
+    const response = await axios.post(this.url, this.buildRequest(request), {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.isAzure ? { 'api-key': this.apiKey } : { 'Authorization': `Bearer ${this.apiKey}` })
+      },
+      ...getAxiosTransportOptions(this.url)
+    });
+    return extractResponseText(response.data);
+  }
+}
+
+/**
+ * Extract the text of a Responses API response. Gateways in front of the API return
+ * chat-completions-like or plain shapes, so those are accepted too.
+ * @param {Object|string} responseData - Raw response
+ * @returns {string} Response text
+ */
+export function extractResponseText(responseData) {
+  logger.debug('Raw response data:', JSON.stringify(responseData, null, 2));
+
+  if (typeof responseData === 'string') {
+    return responseData;
+  }
+  if (responseData.choices?.[0]?.message) {
+    return responseData.choices[0].message.content;
+  }
+  if (Array.isArray(responseData.output)) {
+    // Reasoning models put a reasoning item before the message
+    const message = responseData.output.find(item => item.type === 'message');
+    const text = message?.content?.filter(item => item.type === 'output_text').map(item => item.text).join('');
+    if (text) {
+      return text;
+    }
+
+    const first = responseData.output[0]?.content;
+    if (typeof first === 'string') {
+      return first;
+    }
+    if (first?.[0]?.text) {
+      return first[0].text;
+    }
+  }
+  if (typeof responseData.response === 'string') {
+    return responseData.response;
+  }
+  if (typeof responseData.text === 'string') {
+    return responseData.text;
+  }
+
+  logger.warn('Unknown response format, returning JSON string');
+  return JSON.stringify(responseData, null, 2);
+}
@@ -1,336 +1,807 @@
-import OpenAI from 'openai';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/index.js';
+import { createLLMProvider } from './llm-providers/index.js';
+import { findExplicitRequirementIds, parseRequirements } from '../utils/requirements.js';
+import {
+  REVIEW_SCHEMA,
+  REVIEW_MERGE_SCHEMA,
+  FINDING_CATEGORIES,
+  parseReviewJson,
+  validateReview,
+  validateReviewMerge
+} from '../utils/review-schema.js';
+import { getModelLimits, estimateTokens, truncateToTokens } from '../utils/token-budget.js';
+import { chunkChanges, selectRelevantSections, mergeChunkReviews, removeDuplicateFindings } from '../utils/review-chunks.js';
+import { toUnifiedDiff } from '../utils/change-list.js';
+import { renderTemplate, describeTemplates } from '../utils/prompt-template.js';
+import { getBuiltinTemplates } from './prompt-templates.js';
+
+// Completion tokens for each requirement a review reports traceability on
+const TOKENS_PER_REQUIREMENT = 60;
+
+// Least room for diff and design in one part of a split review
+const MIN_CHUNK_TOKENS = 1000;
+
+// Files of a part named in the final pass over a split review
+const MAX_PART_FILES_LISTED = 10;
+
+// Longest invalid response sent back to the LLM for repair
+const MAX_REPAIR_RESPONSE_CHARS = 12000;
+
+const REVIEW_RESPONSE_SCHEMA = {
+  name: 'design_review',
+  description: 'Design review of a pull request: summary, findings, resolved earlier findings and requirement traceability',
+  schema: REVIEW_SCHEMA
+};
+
+const REVIEW_MERGE_RESPONSE_SCHEMA = {
+  name: 'design_review_merge',
+  description: 'Summary of a design review done in parts, and the findings the parts reported twice',
+  schema: REVIEW_MERGE_SCHEMA
+};
 
 /**
  * LLM service for analyzing PR changes against design documents
  */
 export class LLMService {
   constructor() {
-    if (config.llm.isAzure) {
-      // Azure OpenAI configuration - fix URL format
-      let baseUrl = config.llm.baseUrl;
-      
-      // Handle different Azure OpenAI URL formats
-      if (baseUrl.includes('cognitiveservices.azure.com')) {
-        // Keep the original cognitiveservices format if it was working
-        logger.info(`Using Cognitive Services URL format: ${baseUrl}`);
-      } else if (!baseUrl.includes('openai.azure.com')) {
-        // If it's neither format, try to convert to openai.azure.com
-        const resourceName = baseUrl.match(/https:\/\/([^.]+)/)?.[1];
-        if (resourceName) {
-          baseUrl = `https://${resourceName}.openai.azure.com`;
-          logger.info(`Converted URL to OpenAI format: ${baseUrl}`);
-        }
-      }
-      
-      // Remove trailing slash and ensure proper format
-      baseUrl = baseUrl.replace(/\/$/, '');
-      
-      logger.info(`Azure OpenAI Configuration Debug:`);
-      logger.info(`  Original URL: ${config.llm.baseUrl}`);
-      logger.info(`  Corrected URL: ${baseUrl}`);
-      logger.info(`  API Version: ${config.llm.apiVersion}`);
-      logger.info(`  Deployment Name: ${config.llm.deploymentName || 'Using model name'}`);
-      logger.info(`  Model: ${config.llm.model}`);
+    this.provider = createLLMProvider(config.llm);
+    this.limits = getModelLimits(config.llm.model, config.llm.contextTokens);
+    logger.info(`LLM provider initialized: ${this.provider.describe()} (${this.limits.contextTokens}-token context)`);
+  }
+
+  /**
+   * Analyze PR changes against the design document. The LLM answers with JSON matching
+   * REVIEW_SCHEMA; a response that does not parse or validate is sent back once for repair.
+   * A PR that does not fit into the model's context is reviewed in parts (see analyzeInChunks).
+   * @param {Object} prData - PR details and diff
+   * @param {Object} designDoc - Design document content
+   * @param {Object} options - Analysis options
+   * @param {Object} options.templates - Prompt templates of the repository (PromptTemplateService.load)
+   * @returns {Object} Review model ({ summary, findings, resolvedIds, traces, raw, invalid }), with
+   *   skippedFiles ({ path, reason }) when parts of the PR were left out
+   */
+  async analyzeChanges(prData, designDoc, { templates = getBuiltinTemplates() } = {}) {
+    try {
+      logger.info('Analyzing PR changes against design document...');
       
-      // Configure based on endpoint type
-      if (baseUrl.includes('cognitiveservices.azure.com')) {
-        // Custom Azure responses endpoint
-        this.openai = new OpenAI({
-          apiKey: config.llm.openaiApiKey,
-          baseURL: `${baseUrl}/openai`,
-          defaultQuery: { 'api-version': config.llm.apiVersion },
-          defaultHeaders: {
-            'api-key': config.llm.openaiApiKey,
-            'Content-Type': 'application/json'
-          },
-        });
+      const prompt = this.buildAnalysisPrompt(prData, designDoc, templates);
+      const maxTokens = config.llm.maxOutputTokens + (designDoc.requirements?.length || 0) * TOKENS_PER_REQUIREMENT;
+      const requirementIds = (designDoc.requirements || []).map(requirement => requirement.id);
+
+      const promptTokens = estimateTokens(prompt, this.limits);
+      let review;
+      if (promptTokens <= this.getPromptBudget(maxTokens, templates)) {
+        review = await this.reviewPrompt(prompt, { maxTokens, requirementIds, templates });
       } else {
-        // Standard Azure OpenAI format
-        this.openai = new OpenAI({
-          apiKey: config.llm.openaiApiKey,
-          baseURL: baseUrl,
-          defaultQuery: { 'api-version': config.llm.apiVersion },
-          defaultHeaders: {
-            'api-key': config.llm.openaiApiKey,
-          },
-        });
+        logger.info(`Review prompt of about ${promptTokens} tokens does not fit into the ${this.limits.contextTokens}-token context - reviewing the PR in parts`);
+        review = await this.analyzeInChunks(prData, designDoc, { maxTokens, requirementIds, templates });
       }
-      
-      logger.info(`Azure OpenAI service initialized successfully`);
-    } else {
-      // Standard OpenAI configuration
-      this.openai = new OpenAI({
-        apiKey: config.llm.openaiApiKey,
-        baseURL: config.llm.baseUrl
+
+      logger.info(`LLM analysis completed: ${review.findings.length} finding(s), ${review.traces.length} traceability entry(ies)`);
+      return review;
+    } catch (error) {
+      logger.error('Failed to analyze PR changes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a review prompt and read the review, repairing a response that does not match the schema once
+   * @param {string} prompt - Analysis prompt
+   * @param {Object} options - Review options
+   * @param {number} options.maxTokens - Completion token limit
+   * @param {string[]} options.requirementIds - IDs of the requirements listed in the prompt
+   * @param {Object} options.templates - Prompt templates of the repository
+   * @returns {Object} Review model
+   */
+  async reviewPrompt(prompt, { maxTokens, requirementIds, templates }) {
+    const response = await this.requestCompletion(prompt, { maxTokens, schema: REVIEW_RESPONSE_SCHEMA, templates });
+    logger.debug('Analysis preview:', response.substring(0, 200) + '...');
+    let { review, errors } = this.readReview(response, requirementIds);
+
+    if (errors.length > 0) {
+      logger.warn(`LLM review did not match the schema (${errors.join('; ')}) - asking for a repaired response`);
+      const repaired = await this.requestCompletion(this.buildRepairPrompt(response, errors), {
+        maxTokens,
+        schema: REVIEW_RESPONSE_SCHEMA,
+        templates
       });
-      logger.info(`OpenAI service initialized with base URL: ${config.llm.baseUrl}`);
+      const retry = this.readReview(repaired, requirementIds);
+      // Keep whichever response yielded a review; a repair that fails completely changes nothing
+      if (!retry.review.invalid || review.invalid) {
+        ({ review, errors } = retry);
+      }
+      if (errors.length > 0) {
+        logger.warn(`Repaired LLM review still has problems: ${errors.join('; ')}`);
+      }
     }
+
+    return review;
   }
 
   /**
-   * Analyze PR changes against the design document
+   * Review a PR that does not fit into the model's context in parts. The diff is split by file
+   * (and by hunk) into chunks, each chunk is reviewed against the design sections relevant to it,
+   * and the chunk reviews are merged; a final pass writes the summary and drops duplicate findings.
    * @param {Object} prData - PR details and diff
    * @param {Object} designDoc - Design document content
-   * @returns {string} Review comments from the LLM
+   * @param {Object} options - Review options
+   * @param {number} options.maxTokens - Completion token limit of each part
+   * @param {string[]} options.requirementIds - IDs of the requirements listed in the prompt
+   * @param {Object} options.templates - Prompt templates of the repository
+   * @returns {Object} Review model, with the files of parts beyond LLM_MAX_CHUNKS in skippedFiles
+   *   ({ path, reason, partial }; partial when other hunks of the file were reviewed)
    */
-  async analyzeChanges(prData, designDoc) {
-    try {
-      logger.info('Analyzing PR changes against design document...');
-      
-      const prompt = this.buildAnalysisPrompt(prData, designDoc);
-      
-      const modelOrDeployment = config.llm.isAzure ? 
-        (config.llm.deploymentName || config.llm.model) : 
-        config.llm.model;
-
-      logger.info(`Making LLM API call with:`);
-      logger.info(`  Model/Deployment: ${modelOrDeployment}`);
-      logger.info(`  Azure Mode: ${config.llm.isAzure}`);
-      logger.info(`  Base URL: ${this.openai.baseURL}`);
-
-      try {
-        // Prepare request body based on endpoint type
-        let requestBody;
-        let isCustomResponsesEndpoint = config.llm.baseUrl.includes('cognitiveservices.azure.com');
-        
-        if (isCustomResponsesEndpoint) {
-          // Custom Azure responses endpoint format (based on working curl)
-          requestBody = {
-            model: modelOrDeployment,
-            input: [
-              {
-                role: "user",
-                content: [
-                  {
-                    type: "input_text",
-                    text: `${this.getSystemPrompt()}\n\nUser Query: ${prompt}`
-                  }
-                ]
-              }
-            ]
-          };
-        } else {
-          // Standard OpenAI format
-          requestBody = {
-            model: modelOrDeployment,
-            messages: [
-              {
-                role: 'system',
-                content: this.getSystemPrompt()
-              },
-              {
-                role: 'user', 
-                content: prompt
-              }
-            ]
-          };
-
-          // Handle model-specific parameter restrictions for standard format
-          if (config.llm.model === 'gpt-5-nano') {
-            requestBody.temperature = 1; // Only default value supported
-          } else {
-            requestBody.temperature = 0.3;
-          }
-
-          // Use correct token parameter based on API version for standard format
-          // Reduced token limit for more concise responses
-          if (config.llm.isAzure && config.llm.apiVersion >= '2024-08-01-preview') {
-            requestBody.max_completion_tokens = 500;
-          } else {
-            requestBody.max_tokens = 500;
-          }
-        }
-
-        logger.info(`Request body prepared with token limit: ${requestBody.max_tokens || requestBody.max_completion_tokens}`);
-        logger.info(`Full request details:`);
-        logger.info(`  Base URL: ${this.openai.baseURL}`);
-        logger.info(`  Model/Deployment: ${requestBody.model}`);
-        logger.info(`  Temperature: ${requestBody.temperature}`);
-        logger.info(`  API Version: ${config.llm.apiVersion}`);
-        
-        // Log the actual URL that will be called
-        let expectedUrl;
-        if (isCustomResponsesEndpoint) {
-          expectedUrl = `${this.openai.baseURL}/responses`;
-        } else if (config.llm.baseUrl.includes('openai.azure.com')) {
-          expectedUrl = `${this.openai.baseURL}/openai/deployments/${requestBody.model}/chat/completions`;
-        } else {
-          expectedUrl = `${this.openai.baseURL}/chat/completions`;
-        }
-        logger.info(`  Expected URL: ${expectedUrl}`);
-        logger.info(`  Request format: ${isCustomResponsesEndpoint ? 'Custom Azure Responses' : 'Standard OpenAI'}`);
-
-        let response;
-        if (isCustomResponsesEndpoint) {
-          // Use axios directly for custom endpoint since OpenAI SDK doesn't support /responses
-          const axios = (await import('axios')).default;
-          const fullUrl = `${config.llm.baseUrl}/openai/responses?api-version=${config.llm.apiVersion}`;
-          
-          logger.info(`  Making direct axios call to: ${fullUrl}`);
-          
-          const axiosResponse = await axios.post(fullUrl, requestBody, {
-            headers: {
-              'Content-Type': 'application/json',
-              'api-key': config.llm.openaiApiKey
-            }
-          });
-          
-          // Convert response to OpenAI-like format for compatibility
-          response = {
-            choices: [{
-              message: {
-                content: this.extractContentFromCustomResponse(axiosResponse.data)
-              }
-            }]
-          };
-        } else {
-          // Use standard OpenAI SDK
-          response = await this.openai.chat.completions.create(requestBody);
-        }
-        
-        logger.info(`LLM API call successful`);
-        
-        const analysis = response.choices[0].message.content;
-        logger.info('LLM analysis completed');
-        logger.debug('Analysis preview:', analysis.substring(0, 200) + '...');
-        
-        return analysis;
-      } catch (error) {
-        logger.error(`LLM API call failed with error:`, error.message);
-        logger.error(`Error details:`, {
-          status: error.status,
-          code: error.code,
-          type: error.type,
-          headers: error.headers
+  async analyzeInChunks(prData, designDoc, { maxTokens, requirementIds, templates }) {
+    // Everything but the diff and the design is repeated in every part
+    const chunkData = { ...prData, diff: '', chunk: { index: 1, count: 1, paths: [] } };
+    const budget = this.getPromptBudget(maxTokens, templates);
+    const fixed = estimateTokens(this.buildAnalysisPrompt(chunkData, withoutDesignContent(designDoc), templates), this.limits);
+    if (budget - fixed < MIN_CHUNK_TOKENS) {
+      throw new Error(`The review prompt needs about ${fixed} tokens besides the diff and the design, too many for the ${this.limits.contextTokens}-token context of ${config.llm.model} - set LLM_CONTEXT_TOKENS or use a model with a larger context`);
+    }
+
+    // Attachments, Jira issues and design edits get up to a quarter of the room
+    designDoc = this.fitDesignContext(designDoc, Math.floor((budget - fixed) / 4));
+    const overhead = estimateTokens(this.buildAnalysisPrompt(chunkData, { ...designDoc, textContent: '' }, templates), this.limits);
+    const available = budget - overhead;
+
+    // The design gets up to half of the room; the diff gets the rest
+    const designBudget = Math.min(estimateTokens(designDoc.textContent, this.limits), Math.floor(available / 2));
+    const chunks = chunkChanges(prData.files || [], available - designBudget, this.limits);
+    if (chunks.length === 0) {
+      chunks.push({ changes: [], tokens: 0, paths: [] });
+    }
+
+    const parts = chunks.slice(0, config.llm.maxChunks);
+    const reviewedPaths = new Set(parts.flatMap(chunk => chunk.paths));
+    const skippedFiles = [...new Set(chunks.slice(parts.length).flatMap(chunk => chunk.paths))].map(path => ({
+      path,
+      reason: `${reviewedPaths.has(path) ? 'only partly reviewed - ' : ''}the PR needs more than ${parts.length} review parts (LLM_MAX_CHUNKS)`,
+      partial: reviewedPaths.has(path)
+    }));
+    if (skippedFiles.length > 0) {
+      logger.warn(`PR needs ${chunks.length} review parts - reviewing the first ${parts.length}, ${skippedFiles.length} file(s) left out`);
+    }
+
+    const reviews = [];
+    for (const [index, chunk] of parts.entries()) {
+      const diff = toUnifiedDiff(chunk.changes);
+      const textContent = selectRelevantSections(designDoc.textContent || '', diff, available - chunk.tokens, this.limits);
+      const prompt = this.buildAnalysisPrompt(
+        { ...prData, diff, chunk: { index: index + 1, count: parts.length, paths: chunk.paths } },
+        { ...designDoc, textContent },
+        templates
+      );
+      logger.info(`Reviewing part ${index + 1} of ${parts.length} (${chunk.paths.length} file(s))`);
+      reviews.push(await this.reviewPrompt(prompt, { maxTokens, requirementIds, templates }));
+    }
+
+    // A part whose response could not be read reviewed nothing; its files count as not reviewed,
+    // so the findings of earlier reviews on them are kept rather than resolved
+    const readParts = parts.filter((chunk, index) => !reviews[index].invalid);
+    const readReviews = reviews.filter(review => !review.invalid);
+    const readPaths = new Set(readParts.flatMap(chunk => chunk.paths));
+    const listedPaths = new Set(skippedFiles.map(file => file.path));
+    const unreadPaths = parts.filter((chunk, index) => reviews[index].invalid).flatMap(chunk => chunk.paths);
+    for (const path of new Set(unreadPaths)) {
+      if (!listedPaths.has(path)) {
+        skippedFiles.push({
+          path,
+          reason: `${readPaths.has(path) ? 'only partly reviewed - ' : ''}the LLM response for its review part could not be read`,
+          partial: readPaths.has(path)
         });
-        throw error;
       }
+    }
+    if (readParts.length < parts.length) {
+      logger.warn(`${parts.length - readParts.length} of ${parts.length} review part(s) could not be read`);
+    }
+
+    const merged = mergeChunkReviews(reviews);
+    const review = readReviews.length > 1
+      ? await this.mergeReviewParts(merged, { parts: readParts, reviews: readReviews, prData, designDoc, templates })
+      : merged;
+    return { ...review, skippedFiles };
+  }
+
+  /**
+   * Final pass over a review done in parts: one summary for the whole PR, and the findings
+   * different parts reported for the same issue. Without it, the part summaries are shown.
+   * @param {Object} merged - Review model from mergeChunkReviews
+   * @param {Object} context - The review in parts
+   * @param {Object[]} context.parts - Reviewed chunks
+   * @param {Object[]} context.reviews - Review models of the parts
+   * @param {Object} context.prData - PR details
+   * @param {Object} context.designDoc - Design document content
+   * @param {Object} context.templates - Prompt templates of the repository
+   * @returns {Object} Review model
+   */
+  async mergeReviewParts(merged, context) {
+    try {
+      logger.info(`Merging the reviews of ${context.parts.length} parts...`);
+      const response = await this.requestCompletion(this.buildMergePrompt(merged, context), {
+        maxTokens: config.llm.maxOutputTokens,
+        schema: REVIEW_MERGE_RESPONSE_SCHEMA,
+        templates: context.templates
+      });
+      const { summary, duplicates, errors } = validateReviewMerge(parseReviewJson(response), merged.findings.length);
+      if (!summary) {
+        throw new Error(errors.join('; '));
+      }
+      if (errors.length > 0) {
+        logger.warn(`Merged review has problems: ${errors.join('; ')}`);
+      }
+
+      const findings = removeDuplicateFindings(merged.findings, duplicates);
+      logger.info(`Merged review: ${merged.findings.length - findings.length} duplicate finding(s) removed`);
+      return { ...merged, summary, findings };
     } catch (error) {
-      logger.error('Failed to analyze PR changes:', error);
+      logger.warn(`Could not merge the review parts (${error.message}) - showing the summary of each part`);
+      return merged;
+    }
+  }
+
+  /**
+   * Build the prompt of the final pass over a review done in parts, from the merge template
+   * @param {Object} merged - Review model from mergeChunkReviews
+   * @param {Object} context - The review in parts ({ parts, reviews, prData, designDoc, templates })
+   * @returns {string} The constructed prompt
+   */
+  buildMergePrompt(merged, { parts, reviews, prData, designDoc, templates = getBuiltinTemplates() }) {
+    const summaries = parts.map((chunk, index) => {
+      const files = chunk.paths.slice(0, MAX_PART_FILES_LISTED).join(', ');
+      const more = chunk.paths.length > MAX_PART_FILES_LISTED ? ` and ${chunk.paths.length - MAX_PART_FILES_LISTED} more` : '';
+      return `### Part ${index + 1} (${files}${more})\n${reviews[index].summary || 'No summary'}`;
+    }).join('\n\n');
+    const findings = merged.findings
+      .map((f, index) => `${index + 1}. ${f.severity} | ${f.path ? `${f.path}:${f.line || ''}` : 'whole PR'} | ${f.requirement || '-'} | ${f.message}`)
+      .join('\n') || 'None';
+    const traces = merged.traces.map(trace => `- ${trace.id}: ${trace.status}`).join('\n');
+    const variables = {
+      ...this.buildPromptVariables(prData, designDoc),
+      parts: parts.length,
+      summaries,
+      traceability: traces ? `\n## Requirements Traceability:\n${traces}\n` : '',
+      schema: JSON.stringify(REVIEW_MERGE_SCHEMA)
+    };
+
+    // The finding list is what grows with the PR; cut it rather than overflow the context
+    const findingBudget = this.getPromptBudget(config.llm.maxOutputTokens, templates)
+      - estimateTokens(renderTemplate(templates.merge, { ...variables, findings: '' }), this.limits);
+    return renderTemplate(templates.merge, {
+      ...variables,
+      findings: truncateToTokens(findings, Math.max(findingBudget, 0), this.limits)
+    });
+  }
+
+  /**
+   * Tokens left for the prompt once the system prompt and the completion are reserved
+   * @param {number} maxTokens - Completion token limit
+   * @param {Object} templates - Prompt templates of the repository
+   * @returns {number} Prompt token budget
+   */
+  getPromptBudget(maxTokens, templates = getBuiltinTemplates()) {
+    return this.limits.contextTokens - maxTokens - estimateTokens(this.getSystemPrompt(templates), this.limits);
+  }
+
+  /**
+   * Cut the design text so a prompt fits into the model's context
+   * @param {Object} designDoc - Design document content
+   * @param {number} maxTokens - Completion token limit
+   * @param {Function} buildPrompt - Builds the prompt from a design context
+   * @param {Object} templates - Prompt templates of the repository
+   * @returns {Object} The design context, with shortened text when needed
+   */
+  fitDesignText(designDoc, maxTokens, buildPrompt, templates) {
+    const room = this.getPromptBudget(maxTokens, templates) - estimateTokens(buildPrompt(withoutDesignContent(designDoc)), this.limits);
+    // Attachments, Jira issues and design edits get up to half of the room, the text the rest
+    const fitted = this.fitDesignContext(designDoc, Math.floor(Math.max(room, 0) / 2));
+    const budget = this.getPromptBudget(maxTokens, templates) - estimateTokens(buildPrompt({ ...fitted, textContent: '' }), this.limits);
+    if (estimateTokens(fitted.textContent, this.limits) <= budget) {
+      return fitted;
+    }
+    logger.warn(`Design context does not fit into the ${this.limits.contextTokens}-token context - using its first ${Math.max(budget, 0)} tokens`);
+    return { ...fitted, textContent: truncateToTokens(fitted.textContent, Math.max(budget, 0), this.limits) };
+  }
+
+  /**
+   * Shorten the attachments, Jira issues and design edits so their prompt sections fit a budget.
+   * Their long fields are cut by the same share; when that is not enough, entries are left out,
+   * attachments first and issues last.
+   * @param {Object} designDoc - Design document content
+   * @param {number} maxTokens - Token budget of the three sections
+   * @returns {Object} The design context, with shortened sections when needed
+   */
+  fitDesignContext(designDoc, maxTokens) {
+    const measure = doc => estimateTokens(
+      this.buildAttachmentsSection(doc.attachments) + this.buildIssuesSection(doc.issues) + this.buildDocChangesSection(doc.changes),
+      this.limits
+    );
+    const total = measure(designDoc);
+    if (total <= maxTokens) {
+      return designDoc;
+    }
+
+    const frame = measure(mapContextFields(designDoc, () => ''));
+    const share = Math.max(maxTokens - frame, 0) / Math.max(total - frame, 1);
+    const fitted = mapContextFields(designDoc, text => truncateToTokens(text, Math.floor(estimateTokens(text, this.limits) * share), this.limits));
+    for (const key of ['attachments', 'changes', 'issues']) {
+      while (fitted[key]?.length && measure(fitted) > maxTokens) {
+        fitted[key] = fitted[key].slice(0, -1);
+      }
+    }
+
+    const dropped = ['attachments', 'changes', 'issues']
+      .filter(key => (fitted[key]?.length || 0) < (designDoc[key]?.length || 0))
+      .map(key => `${designDoc[key].length - fitted[key].length} ${key === 'changes' ? 'design edit(s)' : key === 'issues' ? 'Jira issue(s)' : 'attachment(s)'}`);
+    logger.warn(`Design attachments, Jira issues and edits need about ${total} tokens - shortened to ${maxTokens}${dropped.length > 0 ? `, leaving out ${dropped.join(', ')}` : ''}`);
+    return fitted;
+  }
+
+  /**
+   * Parse and validate a review response
+   * @param {string} response - LLM response
+   * @param {string[]} requirementIds - IDs of the requirements listed in the prompt
+   * @returns {Object} { review, errors } - review model (marked invalid when no JSON could be read) and schema problems
+   */
+  readReview(response, requirementIds) {
+    let data;
+    try {
+      data = parseReviewJson(response);
+    } catch (error) {
+      // Without JSON there is nothing to validate; the raw text stands in as the summary
+      return {
+        review: { summary: (response || '').trim(), findings: [], resolvedIds: [], traces: [], raw: response, invalid: true },
+        errors: [error.message]
+      };
+    }
+
+    const { review, errors } = validateReview(data, { requirementIds });
+    return { review: { ...review, raw: response, invalid: false }, errors };
+  }
+
+  /**
+   * Build the prompt that asks the LLM to fix a response that did not match the schema
+   * @param {string} response - Invalid response
+   * @param {string[]} errors - Problems found
+   * @returns {string} The constructed prompt
+   */
+  buildRepairPrompt(response, errors) {
+    const previous = response.length > MAX_REPAIR_RESPONSE_CHARS
+      ? `${response.substring(0, MAX_REPAIR_RESPONSE_CHARS)}\n... (truncated)`
+      : response;
+    return `
+Your previous design review response could not be used. It must be a single JSON object matching this JSON schema:
+
+${JSON.stringify(REVIEW_SCHEMA)}
+
+## Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+## Previous Response:
+${previous}
+
+## Instructions:
+Return the corrected review as a single JSON object and nothing else. Keep the content of the review; only fix what the problems name. If the previous response was cut off, shorten the summary and the rationales so the object is complete.
+`;
+  }
+
+  /**
+   * Pull the individual requirements out of the design context. IDs the documents use
+   * (REQ-12, FR-3) are kept; other requirements get synthesized IDs (R-1, R-2, ...).
+   * @param {Object} designDoc - Design document content
+   * @param {Object} options - Extraction options
+   * @param {Object} options.templates - Prompt templates of the repository (for the system prompt)
+   * @returns {Object[]} Requirements ({ id, text, source, explicit })
+   */
+  async extractRequirements(designDoc, { templates = getBuiltinTemplates() } = {}) {
+    try {
+      logger.info('Extracting requirements from the design document...');
+
+      const explicitIds = findExplicitRequirementIds(designDoc.textContent);
+      const maxTokens = config.requirements.maxCount * TOKENS_PER_REQUIREMENT;
+      const fitted = this.fitDesignText(designDoc, maxTokens, doc => this.buildRequirementsPrompt(doc, explicitIds), templates);
+      const response = await this.requestCompletion(this.buildRequirementsPrompt(fitted, explicitIds), { maxTokens, templates });
+      const requirements = parseRequirements(response, { explicitIds, limit: config.requirements.maxCount });
+
+      logger.info(`Extracted ${requirements.length} requirement(s), ${requirements.filter(r => r.explicit).length} with IDs from the document`);
+      return requirements;
+    } catch (error) {
+      logger.error('Failed to extract requirements:', error);
       throw error;
     }
   }
 
   /**
-   * Build the analysis prompt for the LLM
-   * @param {Object} prData - PR details and diff
+   * Build the prompt that asks the LLM to list the requirements of the design context
    * @param {Object} designDoc - Design document content
+   * @param {string[]} explicitIds - Requirement IDs found in the design context
    * @returns {string} The constructed prompt
    */
-  buildAnalysisPrompt(prData, designDoc) {
+  buildRequirementsPrompt(designDoc, explicitIds) {
+    const idNote = explicitIds.length > 0
+      ? `The document already identifies requirements with these IDs: ${explicitIds.join(', ')}. Use these IDs for those requirements. Give other requirements the IDs R-1, R-2, ... in document order.`
+      : 'Give the requirements the IDs R-1, R-2, ... in document order.';
     return `
-Review this Pull Request against the design document and provide CONCISE feedback focused on key issues only.
+List the individual, checkable requirements of this design document.
 
 ## Design Document:
 Title: ${designDoc.content?.title || 'N/A'}
-Content: ${designDoc.textContent || 'No content available'}
+${this.buildDesignSourcesNote(designDoc)}Content: ${designDoc.textContent || 'No content available'}
+${this.buildAttachmentsSection(designDoc.attachments)}${this.buildIssuesSection(designDoc.issues)}
+## Instructions:
+A requirement is one behavior, constraint or contract an implementation must satisfy. Skip background, goals and open questions. ${idNote} List at most ${config.requirements.maxCount} requirements, the most important first if there are more.
 
-## PR Changes:
-Title: ${prData.pr?.title || 'N/A'}
-\`\`\`diff
-${prData.diff || 'No diff available'}
-\`\`\`
+Write one line per requirement, and nothing else, in exactly this format:
+REQUIREMENT | <id> | <section or page it comes from${designDoc.documents?.length > 1 ? ', starting with its DOC label' : ''}> | <the requirement in one sentence>
+`;
+  }
 
-## Instructions:
-Provide a BRIEF review focusing only on:
-- ❌ Critical issues or conflicts with the design
-- ⚠️ Missing key requirements 
-- ✅ Major positives (if any)
-- 💡 Top 2-3 actionable recommendations
+  /**
+   * Send a prompt to the configured LLM provider
+   * @param {string} prompt - The user prompt (sent with the system prompt)
+   * @param {Object} options - Request options
+   * @param {number} options.maxTokens - Completion token limit
+   * @param {Object} options.schema - JSON schema the response must match ({ name, description, schema })
+   * @param {Object} options.templates - Prompt templates of the repository (for the system prompt)
+   * @returns {string} The LLM's response text
+   */
+  async requestCompletion(prompt, { maxTokens = config.llm.maxOutputTokens, schema = null, templates = getBuiltinTemplates() } = {}) {
+    logger.info(`Making LLM API call to ${this.provider.describe()} with token limit ${maxTokens}${schema ? ` and the ${schema.name} schema` : ''}`);
+
+    try {
+      const content = await this.provider.complete({ system: this.getSystemPrompt(templates), prompt, maxTokens, schema });
+      logger.info(`LLM API call successful`);
+      return content;
+    } catch (error) {
+      logger.error(`LLM API call failed with error:`, error.message);
+      logger.error(`Error details:`, {
+        provider: this.provider.name,
+        status: error.status || error.response?.status,
+        code: error.code,
+        type: error.type,
+        data: error.response?.data
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the analysis prompt for the LLM from the analysis template
+   * @param {Object} prData - PR details and diff
+   * @param {Object} designDoc - Design document content
+   * @param {Object} templates - Prompt templates of the repository
+   * @returns {string} The constructed prompt
+   */
+  buildAnalysisPrompt(prData, designDoc, templates = getBuiltinTemplates()) {
+    const variables = this.buildPromptVariables(prData, designDoc);
+    return renderTemplate(templates.analysis, {
+      ...variables,
+      design: {
+        ...variables.design,
+        sources: this.buildDesignSourcesNote(designDoc),
+        content: designDoc.textContent || 'No content available',
+        attachments: this.buildAttachmentsSection(designDoc.attachments),
+        changes: this.buildDocChangesSection(designDoc.changes)
+      },
+      issues: this.buildIssuesSection(designDoc.issues),
+      diff: prData.diff || 'No diff available',
+      coverage: this.buildCoverageNote(prData.coverage),
+      chunk: this.buildChunkNote(prData.chunk),
+      schema: JSON.stringify(REVIEW_SCHEMA),
+      categories: FINDING_CATEGORIES.join(', '),
+      requirements: this.buildRequirementsSection(designDoc.requirements, prData.incremental),
+      previousFindings: this.buildPreviousFindingsSection(prData.previousFindings)
+    });
+  }
+
+  /**
+   * Variables about the PR and the design that every review template can use
+   * @param {Object} prData - PR details
+   * @param {Object} designDoc - Design document content
+   * @returns {Object} Template variables ({ pr, design })
+   */
+  buildPromptVariables(prData, designDoc) {
+    return {
+      pr: {
+        title: prData.pr?.title || 'N/A',
+        number: prData.pr?.number || prData.prNumber || '',
+        author: prData.pr?.user?.login || '',
+        baseBranch: prData.pr?.base?.ref || '',
+        incremental: this.buildIncrementalNote(prData.incremental)
+      },
+      design: {
+        title: designDoc.content?.title || 'N/A'
+      }
+    };
+  }
+
+  /**
+   * Explain that the diff only covers the commits pushed since the last review
+   * @param {Object|null} incremental - Incremental range from getPullRequestDetails
+   * @returns {string} Prompt note, or an empty string for a full review
+   */
+  buildIncrementalNote(incremental) {
+    if (!incremental) {
+      return '';
+    }
+    return `Note: The PR was reviewed before. The diff below only contains the ${incremental.commits || ''} commit(s) pushed since that review, not the whole PR.\n`;
+  }
 
-Keep the response under 300 words. Use bullet points and emojis. Be direct and actionable.
+  /**
+   * Explain that the diff is one part of a PR reviewed in parts
+   * @param {Object|null} chunk - The part ({ index, count, paths }), set by analyzeInChunks
+   * @returns {string} Prompt note, or an empty string for a review in one request
+   */
+  buildChunkNote(chunk) {
+    if (!chunk) {
+      return '';
+    }
+    return `
+Note: This PR is too large to review in one request and is reviewed in ${chunk.count} parts; this is part ${chunk.index}. Only the changes to ${chunk.paths.length} file(s) are shown above, and the design content is limited to the sections relevant to them. Do not report requirements as missing in findings only because their implementation may be in another part. In traceability, report requirements this part does not address as "missing"; the parts are combined afterwards.
 `;
   }
 
   /**
-   * Get the system prompt for the LLM
-   * @returns {string} System prompt
+   * List the requirements of the design context and ask for their traceability
+   * @param {Object[]} requirements - Requirements from extractRequirements, with the status of the last review
+   * @param {Object|null} incremental - Incremental range from getPullRequestDetails
+   * @returns {string} Prompt section, or an empty string without requirements
    */
-  getSystemPrompt() {
+  buildRequirementsSection(requirements, incremental) {
+    if (!requirements?.length) {
+      return '';
+    }
+    const list = requirements.map(requirement => {
+      const earlier = incremental && requirement.status ? ` (last review: ${requirement.status})` : '';
+      return `- ${requirement.id}: ${requirement.text}${earlier}`;
+    }).join('\n');
+    const scope = incremental
+      ? 'Only report the requirements whose status the commits above change; the others keep the status of the last review.'
+      : 'Report every requirement.';
     return `
-You are a concise PR reviewer. Your job is to quickly identify the most important issues when comparing code changes to design documents.
+## Requirements Traceability:
+The design document defines these requirements:
+${list}
 
-Rules:
-- Keep reviews under 300 words
-- Use bullet points and emojis (❌⚠️✅💡)
-- Focus only on critical issues and missing requirements
-- Provide 2-3 specific, actionable recommendations
-- Skip minor details and lengthy explanations
-- Be direct and helpful
+${scope} Add a "traceability" entry per requirement with its status: "implemented", "partial", "missing" when the changes do not address the requirement, or "contradicted" when they conflict with it. List the changed lines that show it as evidence (file and line in the new version, appearing in the diff above), and add a short note.
+`;
+  }
 
-Format as a GitHub PR comment with clear sections.
+  /**
+   * List earlier open findings on the changed files so the LLM can report the fixed ones
+   * @param {Object[]} previousFindings - Open findings from earlier reviews
+   * @returns {string} Prompt section, or an empty string without earlier findings
+   */
+  buildPreviousFindingsSection(previousFindings) {
+    if (!previousFindings?.length) {
+      return '';
+    }
+    const list = previousFindings.map(f => `- [${f.id}] ${f.severity} | ${f.path ? `${f.path}:${f.line}` : 'whole PR'} | ${f.message}`).join('\n');
+    return `
+## Earlier Findings:
+These findings from earlier reviews are still open on the changed files:
+${list}
+
+Put the ID of each earlier finding that the changes above fix in "resolved". Do not repeat earlier findings that are still open.
 `;
   }
 
   /**
-   * Extract content from custom Azure responses endpoint response
-   * @param {Object} responseData - Raw response from custom endpoint
-   * @returns {string} Extracted content
+   * Explain review findings in more detail (for `/design-review explain`)
+   * @param {Object[]} findings - Findings to explain
+   * @param {Object} designDoc - Design document content
+   * @param {Object} options - Explanation options
+   * @param {Object} options.templates - Prompt templates of the repository (for the system prompt)
+   * @returns {string} Explanation in markdown
    */
-  extractContentFromCustomResponse(responseData) {
+  async explainFindings(findings, designDoc, { templates = getBuiltinTemplates() } = {}) {
     try {
-      logger.debug('Raw response data:', JSON.stringify(responseData, null, 2));
-      
-      // Handle different possible response formats
-      if (responseData.choices && responseData.choices[0] && responseData.choices[0].message) {
-        // Standard OpenAI-like format
-        return responseData.choices[0].message.content;
-      } else if (responseData.output && Array.isArray(responseData.output)) {
-        // Custom Azure responses format - look for message type in output array
-        const messageOutput = responseData.output.find(item => item.type === 'message');
-        if (messageOutput && messageOutput.content && Array.isArray(messageOutput.content)) {
-          const textContent = messageOutput.content.find(item => item.type === 'output_text');
-          if (textContent && textContent.text) {
-            return textContent.text;
-          }
-        }
-        
-        // Fallback: try first output item
-        if (responseData.output[0] && responseData.output[0].content) {
-          if (typeof responseData.output[0].content === 'string') {
-            return responseData.output[0].content;
-          } else if (responseData.output[0].content[0] && responseData.output[0].content[0].text) {
-            return responseData.output[0].content[0].text;
-          }
-        }
-      } else if (responseData.response && typeof responseData.response === 'string') {
-        // Simple response format
-        return responseData.response;
-      } else if (responseData.text && typeof responseData.text === 'string') {
-        // Simple text format
-        return responseData.text;
-      } else if (typeof responseData === 'string') {
-        // Direct string response
-        return responseData;
-      }
-      
-      logger.warn('Unknown response format, returning JSON string');
-      return JSON.stringify(responseData, null, 2);
-      
+      logger.info(`Explaining ${findings.length} finding(s)...`);
+      const fitted = this.fitDesignText(designDoc, config.llm.maxOutputTokens, doc => this.buildExplainPrompt(findings, doc), templates);
+      return await this.requestCompletion(this.buildExplainPrompt(findings, fitted), { templates });
     } catch (error) {
-      logger.error('Error extracting content from custom response:', error);
-      return 'Error: Could not extract content from response';
+      logger.error('Failed to explain findings:', error);
+      throw error;
     }
   }
 
   /**
-   * Format the analysis as a GitHub comment
-   * @param {string} analysis - Raw analysis from LLM
-   * @param {string} designDocUrl - URL of the design document
+   * Build the prompt that asks the LLM to explain findings
+   * @param {Object[]} findings - Findings to explain
+   * @param {Object} designDoc - Design document content
+   * @returns {string} The constructed prompt
+   */
+  buildExplainPrompt(findings, designDoc) {
+    const list = findings.map(f => `- [${f.id}] ${f.severity} | ${f.path ? `${f.path}:${f.line}` : 'whole PR'} | ${f.message}`).join('\n');
+    return `
+Explain the following design review findings to the PR author.
+
+## Design Document:
+Title: ${designDoc.content?.title || 'N/A'}
+${this.buildDesignSourcesNote(designDoc)}Content: ${designDoc.textContent || 'No content available'}
+${this.buildAttachmentsSection(designDoc.attachments)}
+## Findings:
+${list}
+
+## Instructions:
+For each finding, quote or reference the part of the design document it is based on, explain why the change conflicts with it, and suggest a concrete fix. Start each explanation with the finding ID in brackets. Keep the response under 300 words.
+`;
+  }
+
+  /**
+   * Explain the sections of a design context assembled from several design documents or pages
+   * @param {Object} designDoc - Design document content
+   * @returns {string} Prompt note, or an empty string for a single page
+   */
+  buildDesignSourcesNote(designDoc) {
+    const documentCount = designDoc.documents?.length || 0;
+    if (documentCount > 1) {
+      return `Note: The PR is reviewed against ${documentCount} design documents. Each document starts with a "# [DOC-n] <title>" heading, and each of its pages with a "## [Page n] <title>" heading. Start every finding comment with the label of the document the requirement comes from, e.g. "[DOC-2]".\n`;
+    }
+
+    const pageCount = designDoc.pages?.length || 0;
+    if (pageCount <= 1) {
+      return '';
+    }
+    return `Note: The design document spans ${pageCount} pages. Each page starts with a "## [Page n] <title>" heading. When a finding is based on a specific page, name that page in the comment.\n`;
+  }
+
+  /**
+   * List the spec and schema files attached to the design document
+   * @param {Object[]} attachments - Attachments from ConfluenceService.getPageContent
+   * @returns {string} Prompt section, or an empty string without attachments
+   */
+  buildAttachmentsSection(attachments) {
+    if (!attachments?.length) {
+      return '';
+    }
+    const files = attachments.map(attachment => {
+      const fence = attachment.content.includes('```') ? '~~~' : '```';
+      return `### ${attachment.filename} (${attachment.kind}, attached to "${attachment.pageTitle}")
+${attachment.summary ? `${attachment.summary}\n` : ''}${fence}${attachment.type}
+${attachment.content.trim()}
+${fence}`;
+    }).join('\n\n');
+    return `
+## Design Attachments:
+These files are attached to the design document and are part of the design. They define the contracts (APIs, messages, schemas) the changes must follow; report changes that conflict with them and name the file in the comment.
+
+${files}
+`;
+  }
+
+  /**
+   * List the Jira issues the PR references, with their acceptance criteria
+   * @param {Object[]} issues - Issues from JiraService.getIssuesForPullRequest
+   * @returns {string} Prompt section, or an empty string without issues
+   */
+  buildIssuesSection(issues) {
+    if (!issues?.length) {
+      return '';
+    }
+    const list = issues.map(issue => {
+      const details = [issue.type, issue.status].filter(Boolean).join(', ');
+      return `### ${issue.key}: ${issue.summary}${details ? ` (${details})` : ''}
+${issue.description ? `Description:\n${issue.description}\n` : ''}${issue.acceptanceCriteria ? `Acceptance Criteria:\n${issue.acceptanceCriteria}\n` : ''}`;
+    }).join('\n');
+    return `
+## Jira Issues:
+The PR implements these issues. Also check the changes against their acceptance criteria, and report criteria the changes contradict or leave unimplemented, naming the issue key.
+
+${list}`;
+  }
+
+  /**
+   * Show the design document edits made since the last review
+   * @param {Object[]} changes - Changed pages from DocumentProviderRegistry.getChanges
+   * @returns {string} Prompt section, or an empty string when the document did not change
+   */
+  buildDocChangesSection(changes) {
+    if (!changes?.length) {
+      return '';
+    }
+    const diffs = changes.map(change => `### ${change.title} (version ${change.fromVersion} -> ${change.toVersion})
+${change.diff ? `\`\`\`diff\n${change.diff}\n\`\`\`` : 'The earlier version could not be read.'}`).join('\n\n');
+    return `
+## Design Document Changes:
+The design document was edited since this PR was last reviewed. The content above is the current version. When a verdict differs from the last review because of these edits, say so in the review.
+
+${diffs}
+`;
+  }
+
+  /**
+   * Tell the LLM which changes were left out of a partially included PR
+   * @param {Object} coverage - Coverage details from getPullRequestDetails
+   * @returns {string} Prompt note, or an empty string when the whole PR is included
+   */
+  buildCoverageNote(coverage) {
+    if (!coverage?.partial) {
+      return '';
+    }
+    const omitted = coverage.totalFiles - coverage.reviewedFiles;
+    return `
+Note: This PR is too large to include completely. Only ${coverage.reviewedFiles} of ${coverage.totalFiles} changed files are shown above; ${omitted} file(s) were omitted. Do not report requirements as missing only because their implementation may be in an omitted file.
+`;
+  }
+
+  /**
+   * Get the system prompt for the LLM
+   * @param {Object} templates - Prompt templates of the repository
+   * @returns {string} System prompt
+   */
+  getSystemPrompt(templates = getBuiltinTemplates()) {
+    return renderTemplate(templates.system, {});
+  }
+
+  /**
+   * Format the review as a GitHub comment
+   * @param {Object} review - Review model from analyzeChanges
+   * @param {Object} context - What the comment shows besides the summary
+   * @param {Object[]} context.documents - Design documents that were reviewed against ({ label, url, content })
+   * @param {Object[]} context.issues - Jira issues the PR references ({ key, url })
+   * @param {string[]} context.notices - Notices shown above the summary
+   * @param {string[]} context.sections - Sections rendered from the review model, shown below the summary
+   * @param {Object} context.templates - Prompt templates the review was made with, named in the footer
    * @returns {string} Formatted GitHub comment
    */
-  formatAsGitHubComment(analysis, designDocUrl) {
+  formatAsGitHubComment(review, { documents, issues = [], notices = [], sections = [], templates = getBuiltinTemplates() }) {
+    const links = documents.map(doc => {
+      const name = documents.length > 1 ? `${doc.label}: ${doc.content.title}` : 'Design Document';
+      const version = doc.content.version?.number;
+      return `[${name}](${doc.url})${version ? ` (version ${version})` : ''}`;
+    });
+    const body = [...notices, review.summary, ...sections].filter(Boolean).join('\n\n');
     return `
 ## 🔍 Design Review
 
-**Against:** [Design Document](${designDocUrl}) | **Bot:** AI Review
+**Against:** ${links.join(', ')}${issues.length > 0 ? ` | **Jira:** ${issues.map(issue => `[${issue.key}](${issue.url})`).join(', ')}` : ''} | **Bot:** AI Review
 
-${analysis}
+${body}
 
 ---
-*Auto-generated review comparing PR changes with design document*
+*Auto-generated review comparing PR changes with design document · Prompts: ${describeTemplates(templates)}*
 `;
   }
 }
+
+// Long text fields of the attachments, Jira issues and design edits, by design context key
+const CONTEXT_FIELDS = {
+  attachments: ['content'],
+  issues: ['description', 'acceptanceCriteria'],
+  changes: ['diff']
+};
+
+/**
+ * Map the long text fields of the attachments, Jira issues and design edits
+ * @param {Object} designDoc - Design document content
+ * @param {Function} mapText - Maps a field's text
+ * @returns {Object} A copy of the design context with the mapped fields
+ */
+function mapContextFields(designDoc, mapText) {
+  const mapped = { ...designDoc };
+  for (const [key, fields] of Object.entries(CONTEXT_FIELDS)) {
+    if (!designDoc[key]) {
+      continue;
+    }
+    mapped[key] = designDoc[key].map(item => {
+      const copy = { ...item };
+      for (const field of fields.filter(name => item[name])) {
+        copy[field] = mapText(item[field]);
+      }
+      return copy;
+    });
+  }
+  return mapped;
+}
+
+/**
+ * Strip the design text, attachments, Jira issues and design edits, to measure a prompt's fixed part
+ * @param {Object} designDoc - Design document content
+ * @returns {Object} The design context without its content
+ */
+function withoutDesignContent(designDoc) {
+  return { ...designDoc, textContent: '', attachments: [], issues: [], changes: [] };
+}
@@ -0,0 +1,176 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { formatRepo } from '../utils/repo-ref.js';
+import { parseTemplate, findTemplateVariables } from '../utils/prompt-template.js';
+
+const BUILTIN_DIRECTORY = new URL('../prompts/', import.meta.url);
+
+// Parsed repository templates kept by blob SHA, so an unchanged override is not read again
+const MAX_CACHED_TEMPLATES = 200;
+
+/**
+ * Variables each template can use. A template that leaves out a required variable
+ * cannot produce a usable review, so such an override is not used.
+ */
+export const TEMPLATE_VARIABLES = {
+  system: {
+    required: [],
+    optional: []
+  },
+  analysis: {
+    required: ['diff', 'schema'],
+    optional: [
+      'design.title', 'design.content', 'design.sources', 'design.attachments', 'design.changes', 'issues',
+      'pr.title', 'pr.number', 'pr.author', 'pr.baseBranch', 'pr.incremental',
+      'coverage', 'chunk', 'categories', 'requirements', 'previousFindings'
+    ]
+  },
+  merge: {
+    required: ['summaries', 'findings', 'schema'],
+    optional: ['parts', 'pr.title', 'pr.number', 'pr.author', 'pr.baseBranch', 'pr.incremental', 'design.title', 'traceability']
+  }
+};
+
+let builtinTemplates = null;
+
+/**
+ * Get the built-in templates shipped in src/prompts
+ * @returns {Object} Template set by name
+ */
+export function getBuiltinTemplates() {
+  if (!builtinTemplates) {
+    builtinTemplates = Object.fromEntries(Object.keys(TEMPLATE_VARIABLES).map(name => {
+      const url = new URL(`${name}.md`, BUILTIN_DIRECTORY);
+      return [name, parseTemplate(fs.readFileSync(url, 'utf8'), { name, source: 'builtin', path: `src/prompts/${name}.md` })];
+    }));
+  }
+  return builtinTemplates;
+}
+
+/**
+ * Prompt templates of a repository: the built-in ones, overridden by the files of
+ * PROMPT_TEMPLATE_DIR (system.md, analysis.md, merge.md) on the repository's default branch.
+ * The default branch is used so a PR cannot change the prompts it is reviewed with.
+ */
+export class PromptTemplateService {
+  /**
+   * @param {GitHubService} githubService - Initialized GitHub service
+   */
+  constructor(githubService) {
+    this.githubService = githubService;
+    this.cache = new Map();
+  }
+
+  /**
+   * Load the templates for a repository. Overrides that cannot be read or lack a required
+   * variable are skipped with a warning, so a broken override never blocks a review.
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @returns {Object} Template set by name
+   */
+  async load(repoRef) {
+    const templates = { ...getBuiltinTemplates() };
+    if (!config.prompts.repositoryOverrides || !repoRef) {
+      return templates;
+    }
+
+    const directory = config.prompts.directory;
+    let entries;
+    try {
+      // Most repositories have no overrides, so a missing directory is not an error
+      entries = await this.githubService.getRepositoryContent(repoRef, directory, null, { allowMissing: true });
+    } catch (error) {
+      logger.warn(`Could not list prompt templates in ${formatRepo(repoRef)}:${directory} (${error.message}) - using the built-in templates`);
+      return templates;
+    }
+    if (entries === null) {
+      return templates;
+    }
+    if (!Array.isArray(entries)) {
+      logger.warn(`${formatRepo(repoRef)}:${directory} is not a directory - using the built-in templates`);
+      return templates;
+    }
+
+    for (const name of Object.keys(TEMPLATE_VARIABLES)) {
+      const entry = entries.find(item => item.type === 'file' && item.name === `${name}.md`);
+      if (!entry) {
+        continue;
+      }
+      try {
+        const template = await this.readTemplate(repoRef, name, entry);
+        if (this.checkVariables(template, formatRepo(repoRef))) {
+          templates[name] = template;
+          logger.info(`Using the ${name} prompt template ${entry.path} (${template.version ? `version ${template.version}` : `blob ${entry.sha.substring(0, 7)}`}) of ${formatRepo(repoRef)}`);
+        }
+      } catch (error) {
+        logger.warn(`Could not read prompt template ${formatRepo(repoRef)}:${entry.path} (${error.message}) - using the built-in template`);
+      }
+    }
+
+    return templates;
+  }
+
+  /**
+   * Read and parse a template file, or take it from the cache when its blob is unchanged
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {string} name - Template name
+   * @param {Object} entry - Directory entry from the contents API
+   * @returns {Object} Parsed template
+   */
+  async readTemplate(repoRef, name, entry) {
+    const key = `${formatRepo(repoRef)}:${entry.path}@${entry.sha}`;
+    let template = this.cache.get(key);
+    if (!template) {
+      template = parseTemplate(await this.readFile(repoRef, entry), {
+        name,
+        source: 'repository',
+        path: entry.path,
+        sha: entry.sha
+      });
+    }
+    // Re-insert so the Map's insertion order doubles as LRU order
+    this.cache.delete(key);
+    this.cache.set(key, template);
+    if (this.cache.size > MAX_CACHED_TEMPLATES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return template;
+  }
+
+  /**
+   * Read a template file from the default branch
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {Object} entry - Directory entry from the contents API
+   * @returns {string} File content
+   */
+  async readFile(repoRef, entry) {
+    const file = await this.githubService.getRepositoryContent(repoRef, entry.path);
+    if (file.content) {
+      return Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+    }
+    return this.githubService.getBlobText(repoRef, entry.sha);
+  }
+
+  /**
+   * Check the variables of an override: unknown ones are reported, missing required ones reject it
+   * @param {Object} template - Parsed repository template
+   * @param {string} repoName - Repository name, for logs
+   * @returns {boolean} Whether the template can be used
+   */
+  checkVariables(template, repoName) {
+    const { required, optional } = TEMPLATE_VARIABLES[template.name];
+    const used = findTemplateVariables(template);
+
+    const unknown = used.filter(variable => !required.includes(variable) && !optional.includes(variable));
+    if (unknown.length > 0) {
+      logger.warn(`Prompt template ${repoName}:${template.path} uses unknown variable(s) ${unknown.map(v => `{{${v}}}`).join(', ')} - they render empty`);
+    }
+
+    const missing = required.filter(variable => !used.includes(variable));
+    if (missing.length > 0) {
+      logger.warn(`Prompt template ${repoName}:${template.path} lacks ${missing.map(v => `{{${v}}}`).join(', ')} - using the built-in ${template.name} template`);
+      return false;
+    }
+    return true;
+  }
+}
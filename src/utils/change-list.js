@@ -0,0 +1,119 @@
+/**
+ * Structured per-file change list shared by the review pipeline.
+ *
+ * Each entry describes one changed file:
+ * { path, previousPath, status, additions, deletions, patch, binary, hasPatch }
+ */
+
+/**
+ * Build the change list from GitHub's `/pulls/{n}/files` (or `/compare`) entries
+ * @param {Object[]} apiFiles - File entries returned by the GitHub API
+ * @returns {Object[]} Change list
+ */
+export function fromApiFiles(apiFiles) {
+  return apiFiles.map(file => {
+    const hasPatch = typeof file.patch === 'string' && file.patch.length > 0;
+    const lineChanges = (file.additions || 0) + (file.deletions || 0);
+
+    return {
+      path: file.filename,
+      previousPath: file.previous_filename || null,
+      status: file.status,
+      additions: file.additions || 0,
+      deletions: file.deletions || 0,
+      patch: hasPatch ? file.patch : null,
+      // GitHub omits the patch for binary files and for files whose diff is too large
+      binary: !hasPatch && lineChanges === 0 && file.status !== 'renamed',
+      hasPatch
+    };
+  });
+}
+
+/**
+ * Build the change list from files returned by parseUnifiedDiff
+ * @param {Object[]} parsedFiles - Parsed diff files
+ * @returns {Object[]} Change list
+ */
+export function fromParsedDiff(parsedFiles) {
+  return parsedFiles.map(file => ({
+    path: file.path,
+    previousPath: file.oldPath !== file.path ? file.oldPath : null,
+    status: file.status,
+    additions: file.additions,
+    deletions: file.deletions,
+    patch: file.patch || null,
+    binary: file.binary,
+    hasPatch: Boolean(file.patch)
+  }));
+}
+
+/**
+ * Render the change list as a unified diff (the format the prompt and the diff parser expect)
+ * @param {Object[]} changes - Change list
+ * @returns {string} Unified diff text
+ */
+export function toUnifiedDiff(changes) {
+  return changes.map(change => {
+    const oldPath = change.previousPath || change.path;
+    const lines = [`diff --git a/${oldPath} b/${change.path}`];
+
+    if (change.status === 'added') {
+      lines.push('new file mode 100644');
+    } else if (change.status === 'removed') {
+      lines.push('deleted file mode 100644');
+    } else if (change.previousPath) {
+      lines.push(`rename from ${change.previousPath}`, `rename to ${change.path}`);
+    }
+
+    if (change.binary) {
+      lines.push(`Binary files a/${oldPath} and b/${change.path} differ`);
+    } else if (change.hasPatch) {
+      lines.push(
+        change.status === 'added' ? '--- /dev/null' : `--- a/${oldPath}`,
+        change.status === 'removed' ? '+++ /dev/null' : `+++ b/${change.path}`,
+        change.patch
+      );
+    }
+
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Select the files that fit into the diff size budget
+ * @param {Object[]} changes - Change list
+ * @param {number} maxChars - Maximum total patch size
+ * @returns {Object} Included changes and skipped files ({ path, reason })
+ */
+export function applyDiffBudget(changes, maxChars) {
+  const included = [];
+  const skipped = [];
+  let total = 0;
+
+  for (const change of changes) {
+    if (change.binary) {
+      // Binary files carry no reviewable text but are listed so the LLM knows they changed
+      included.push(change);
+      continue;
+    }
+    if (!change.hasPatch) {
+      if (change.status === 'renamed' && change.additions + change.deletions === 0) {
+        included.push(change);
+      } else {
+        skipped.push({ path: change.path, reason: 'diff not available from GitHub (too large)' });
+      }
+      continue;
+    }
+
+    const size = change.patch.length;
+    if (total + size > maxChars) {
+      skipped.push({ path: change.path, reason: 'exceeds the review size limit' });
+      continue;
+    }
+
+    total += size;
+    included.push(change);
+  }
+
+  return { included, skipped };
+}
@@ -0,0 +1,75 @@
+/**
+ * Parsing for the link styles Confluence produces:
+ * - /wiki/spaces/SPACE/pages/123456/Page+Title (Cloud)
+ * - /pages/viewpage.action?pageId=123456 (Server / Data Center, older Cloud)
+ * - /x/AbCd tiny links ("Share" / short links)
+ * - /display/SPACE/Page+Title (Server / Data Center, older Cloud)
+ * - ?pageVersion=3 or ?version=3 on any of the above to pin a revision
+ */
+
+const TINY_LINK = /\/x\/([A-Za-z0-9_-]+)/;
+const DISPLAY_LINK = /\/display\/([^/?#]+)\/([^?#]+)/;
+const ID_PATTERNS = [
+  /\/pages\/(\d+)(?:\/|$)/,
+  /[?&]pageId=(\d+)/
+];
+// Last resort for other URL shapes that end in /<id>/<title>
+const TRAILING_ID = /\/(\d+)\/[^/]*$/;
+
+/**
+ * Parse a Confluence page URL
+ * @param {string} confluenceUrl - The page URL
+ * @returns {Object|null} { pageId } or { tinyCode } or { spaceKey, title }, plus the pinned version (or null);
+ *   null when the URL does not reference a page
+ */
+export function parseConfluenceUrl(confluenceUrl) {
+  let url;
+  try {
+    url = new URL(confluenceUrl);
+  } catch {
+    return null;
+  }
+
+  const path = url.pathname;
+  const versionParam = url.searchParams.get('pageVersion') || url.searchParams.get('version');
+  const version = /^\d+$/.test(versionParam || '') ? parseInt(versionParam, 10) : null;
+
+  const idMatch = ID_PATTERNS.map(pattern => `${path}${url.search}`.match(pattern)).find(Boolean);
+  if (idMatch) {
+    return { pageId: idMatch[1], version };
+  }
+
+  const tinyMatch = path.match(TINY_LINK);
+  if (tinyMatch) {
+    return { tinyCode: tinyMatch[1], version };
+  }
+
+  const displayMatch = path.match(DISPLAY_LINK);
+  if (displayMatch) {
+    return {
+      spaceKey: decodeURIComponent(displayMatch[1]),
+      // Titles are form-encoded: "+" stands for a space
+      title: decodeURIComponent(displayMatch[2].replace(/\+/g, ' ')).replace(/\/$/, ''),
+      version
+    };
+  }
+
+  const trailingMatch = path.match(TRAILING_ID);
+  return trailingMatch ? { pageId: trailingMatch[1], version } : null;
+}
+
+/**
+ * Decode a tiny link code (the part after /x/) to the page ID.
+ * Confluence encodes the ID as a little-endian 64-bit integer in URL-safe
+ * base64 ("-" and "_" instead of "/" and "+") with trailing zero bytes and
+ * padding stripped.
+ * @param {string} code - Tiny link code, e.g. "AbCd"
+ * @returns {string} Page ID
+ */
+export function decodeTinyLink(code) {
+  const base64 = code.replace(/-/g, '/').replace(/_/g, '+').padEnd(11, 'A');
+  const bytes = Buffer.from(`${base64.substring(0, 11)}=`, 'base64');
+  const padded = Buffer.alloc(8);
+  bytes.copy(padded, 0, 0, 8);
+  return padded.readBigUInt64LE(0).toString();
+}
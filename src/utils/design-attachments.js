@@ -0,0 +1,172 @@
+import YAML from 'yaml';
+
+/**
+ * Attachment types read as design inputs, by file extension
+ */
+export const SUPPORTED_ATTACHMENT_TYPES = {
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.json': 'json',
+  '.avsc': 'json',
+  '.proto': 'proto',
+  '.sql': 'sql',
+  '.graphql': 'graphql',
+  '.gql': 'graphql'
+};
+
+// Names listed in a summary before it is cut short
+const MAX_SUMMARY_ITEMS = 25;
+
+/**
+ * Get the attachment type for a file name
+ * @param {string} filename - Attachment file name
+ * @returns {string|null} 'yaml', 'json', 'proto', 'sql' or 'graphql'; null for unsupported files
+ */
+export function getAttachmentType(filename) {
+  const match = (filename || '').toLowerCase().match(/\.[a-z0-9]+$/);
+  return match ? SUPPORTED_ATTACHMENT_TYPES[match[0]] || null : null;
+}
+
+/**
+ * Parse an attachment and summarize the contract it describes
+ * @param {string} filename - Attachment file name
+ * @param {string} text - Attachment content
+ * @returns {Object} { type, kind, summary } - kind is e.g. 'OpenAPI', 'JSON Schema' or 'Protocol Buffers'
+ */
+export function summarizeAttachment(filename, text) {
+  const type = getAttachmentType(filename);
+
+  switch (type) {
+    case 'yaml':
+    case 'json': {
+      let document;
+      try {
+        document = type === 'yaml' ? YAML.parse(text) : JSON.parse(text);
+      } catch (error) {
+        return { type, kind: type.toUpperCase(), summary: `Could not be parsed: ${error.message.split('\n')[0]}` };
+      }
+      return { type, ...summarizeStructuredDocument(document, type) };
+    }
+    case 'proto':
+      return { type, kind: 'Protocol Buffers', summary: summarizeProto(text) };
+    case 'sql':
+      return { type, kind: 'SQL', summary: summarizeSql(text) };
+    case 'graphql':
+      return { type, kind: 'GraphQL schema', summary: summarizeGraphQL(text) };
+    default:
+      return { type, kind: 'Text', summary: '' };
+  }
+}
+
+/**
+ * Summarize a parsed YAML or JSON document
+ * @param {*} document - Parsed document
+ * @param {string} type - 'yaml' or 'json'
+ * @returns {Object} { kind, summary }
+ */
+function summarizeStructuredDocument(document, type) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { kind: type.toUpperCase(), summary: Array.isArray(document) ? `List of ${document.length} item(s)` : '' };
+  }
+
+  if (document.openapi || document.swagger) {
+    const operations = [];
+    for (const [path, item] of Object.entries(document.paths || {})) {
+      for (const method of ['get', 'put', 'post', 'delete', 'patch', 'head', 'options']) {
+        if (item?.[method]) {
+          operations.push(`${method.toUpperCase()} ${path}`);
+        }
+      }
+    }
+    const schemas = Object.keys(document.components?.schemas || document.definitions || {});
+    const title = document.info?.title ? ` "${document.info.title}"${document.info.version ? ` v${document.info.version}` : ''}` : '';
+    return {
+      kind: document.openapi ? `OpenAPI ${document.openapi}` : `Swagger ${document.swagger}`,
+      summary: [
+        `API${title}`,
+        `${operations.length} operation(s): ${listNames(operations)}`,
+        schemas.length > 0 ? `Schemas: ${listNames(schemas)}` : null
+      ].filter(Boolean).join('\n')
+    };
+  }
+
+  if (document.$schema || (document.type && document.properties)) {
+    const properties = Object.keys(document.properties || {});
+    return {
+      kind: 'JSON Schema',
+      summary: [
+        `${document.title ? `"${document.title}": ` : ''}${document.type || 'schema'}${properties.length > 0 ? ` with properties ${listNames(properties)}` : ''}`,
+        document.required?.length ? `Required: ${listNames(document.required)}` : null
+      ].filter(Boolean).join('\n')
+    };
+  }
+
+  // Avro schemas are JSON records with typed fields
+  if (document.type === 'record' && Array.isArray(document.fields)) {
+    return {
+      kind: 'Avro schema',
+      summary: `Record ${document.name || ''} with fields ${listNames(document.fields.map(field => field.name))}`
+    };
+  }
+
+  return { kind: type.toUpperCase(), summary: `Top-level keys: ${listNames(Object.keys(document))}` };
+}
+
+/**
+ * Summarize the messages and services of a .proto file
+ * @param {string} text - Proto source
+ * @returns {string} Summary
+ */
+function summarizeProto(text) {
+  const packageName = text.match(/^\s*package\s+([\w.]+)\s*;/m)?.[1];
+  const messages = [...text.matchAll(/^\s*message\s+(\w+)/gm)].map(match => match[1]);
+  const enums = [...text.matchAll(/^\s*enum\s+(\w+)/gm)].map(match => match[1]);
+  const rpcs = [...text.matchAll(/^\s*rpc\s+(\w+)\s*\(/gm)].map(match => match[1]);
+  const services = [...text.matchAll(/^\s*service\s+(\w+)/gm)].map(match => match[1]);
+
+  return [
+    packageName ? `Package: ${packageName}` : null,
+    services.length > 0 ? `Services: ${listNames(services)}` : null,
+    rpcs.length > 0 ? `RPCs: ${listNames(rpcs)}` : null,
+    messages.length > 0 ? `Messages: ${listNames(messages)}` : null,
+    enums.length > 0 ? `Enums: ${listNames(enums)}` : null
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Summarize the tables and views created by a SQL script
+ * @param {string} text - SQL source
+ * @returns {string} Summary
+ */
+function summarizeSql(text) {
+  const names = pattern => [...text.matchAll(pattern)].map(match => match[1].replace(/[`"[\]]/g, ''));
+  const tables = names(/create\s+table\s+(?:if\s+not\s+exists\s+)?([\w."`[\]]+)/gi);
+  const views = names(/create\s+(?:or\s+replace\s+)?(?:materialized\s+)?view\s+(?:if\s+not\s+exists\s+)?([\w."`[\]]+)/gi);
+  const altered = names(/alter\s+table\s+(?:if\s+exists\s+)?([\w."`[\]]+)/gi);
+
+  return [
+    tables.length > 0 ? `Creates tables: ${listNames(tables)}` : null,
+    views.length > 0 ? `Creates views: ${listNames(views)}` : null,
+    altered.length > 0 ? `Alters tables: ${listNames([...new Set(altered)])}` : null
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Summarize the types and operations of a GraphQL schema
+ * @param {string} text - GraphQL SDL
+ * @returns {string} Summary
+ */
+function summarizeGraphQL(text) {
+  const types = [...text.matchAll(/^\s*(?:extend\s+)?(?:type|input|interface|enum|union)\s+(\w+)/gm)].map(match => match[1]);
+  return types.length > 0 ? `Types: ${listNames([...new Set(types)])}` : '';
+}
+
+/**
+ * Join names for a summary, cutting long lists short
+ * @param {string[]} names - Names
+ * @returns {string} Comma-separated names
+ */
+function listNames(names) {
+  const shown = names.slice(0, MAX_SUMMARY_ITEMS).join(', ');
+  return names.length > MAX_SUMMARY_ITEMS ? `${shown} and ${names.length - MAX_SUMMARY_ITEMS} more` : shown;
+}
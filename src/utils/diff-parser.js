@@ -0,0 +1,154 @@
+/**
+ * Utilities for turning a unified diff into file/hunk/line positions that
+ * the GitHub Pull Request Reviews API accepts
+ */
+
+const FILE_HEADER = /^diff --git a\/(.+?) b\/(.+)$/;
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+/**
+ * Parse a unified diff (GitHub's `application/vnd.github.v3.diff` format)
+ * @param {string} diffText - Raw diff text
+ * @returns {Object[]} Parsed files, each with its hunks and lines
+ */
+export function parseUnifiedDiff(diffText) {
+  const files = [];
+  if (!diffText || typeof diffText !== 'string') {
+    return files;
+  }
+
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const rawLine of diffText.split('\n')) {
+    const fileMatch = rawLine.match(FILE_HEADER);
+    if (fileMatch) {
+      file = {
+        oldPath: fileMatch[1],
+        newPath: fileMatch[2],
+        path: fileMatch[2],
+        status: 'modified',
+        binary: false,
+        additions: 0,
+        deletions: 0,
+        hunks: [],
+        patchLines: [],
+        // GitHub's legacy "position": number of lines below the first hunk header
+        lastPosition: 0
+      };
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+
+    if (!file) {
+      continue;
+    }
+
+    const hunkMatch = rawLine.match(HUNK_HEADER);
+    if (hunkMatch) {
+      if (file.hunks.length > 0) {
+        // Subsequent hunk headers count towards the position
+        file.lastPosition++;
+      }
+      file.patchLines.push(rawLine);
+      oldLine = parseInt(hunkMatch[1], 10);
+      newLine = parseInt(hunkMatch[3], 10);
+      hunk = {
+        oldStart: oldLine,
+        oldLines: hunkMatch[2] === undefined ? 1 : parseInt(hunkMatch[2], 10),
+        newStart: newLine,
+        newLines: hunkMatch[4] === undefined ? 1 : parseInt(hunkMatch[4], 10),
+        header: hunkMatch[5].trim(),
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) {
+      // File-level metadata between "diff --git" and the first hunk
+      if (rawLine.startsWith('new file mode')) {
+        file.status = 'added';
+      } else if (rawLine.startsWith('deleted file mode')) {
+        file.status = 'removed';
+      } else if (rawLine.startsWith('rename from')) {
+        file.status = 'renamed';
+      } else if (rawLine.startsWith('Binary files') || rawLine.startsWith('GIT binary patch')) {
+        file.binary = true;
+      }
+      continue;
+    }
+
+    const marker = rawLine[0];
+    if ('+- \\'.includes(marker)) {
+      file.patchLines.push(rawLine);
+    }
+
+    if (marker === '+') {
+      file.additions++;
+      file.lastPosition++;
+      hunk.lines.push({ type: 'add', content: rawLine.substring(1), newLine: newLine++, position: file.lastPosition });
+    } else if (marker === '-') {
+      file.deletions++;
+      file.lastPosition++;
+      hunk.lines.push({ type: 'del', content: rawLine.substring(1), oldLine: oldLine++, position: file.lastPosition });
+    } else if (marker === ' ') {
+      file.lastPosition++;
+      hunk.lines.push({ type: 'context', content: rawLine.substring(1), oldLine: oldLine++, newLine: newLine++, position: file.lastPosition });
+    }
+    // "\ No newline at end of file" and trailing blank lines carry no position
+  }
+
+  for (const parsedFile of files) {
+    // Keep the file's own patch text (GitHub's "patch" format) for per-file processing
+    parsedFile.patch = parsedFile.patchLines.join('\n');
+    delete parsedFile.patchLines;
+  }
+
+  return files;
+}
+
+/**
+ * Find the diff line GitHub will accept a review comment on
+ * @param {Object[]} files - Files returned by parseUnifiedDiff
+ * @param {string} path - File path (new path for renamed files)
+ * @param {number} line - Line number in the file
+ * @param {string} side - 'RIGHT' for the new version of the file, 'LEFT' for the old one
+ * @returns {Object|null} The matching diff line, or null when the line is not part of the diff
+ */
+export function findDiffLine(files, path, line, side = 'RIGHT') {
+  const normalizedPath = normalizePath(path);
+  const file = files.find(f => f.path === normalizedPath || f.oldPath === normalizedPath);
+  if (!file) {
+    return null;
+  }
+
+  for (const hunk of file.hunks) {
+    for (const diffLine of hunk.lines) {
+      if (side === 'RIGHT' && diffLine.type !== 'del' && diffLine.newLine === line) {
+        return { ...diffLine, path: file.path, side };
+      }
+      if (side === 'LEFT' && diffLine.type !== 'add' && diffLine.oldLine === line) {
+        return { ...diffLine, path: file.oldPath, side };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a path reported by the LLM so it can be matched against diff paths
+ * @param {string} path - Raw path
+ * @returns {string} Normalized path
+ */
+function normalizePath(path) {
+  return String(path || '')
+    .trim()
+    .replace(/^`|`$/g, '')
+    .replace(/^(a|b)\//, '')
+    .replace(/^\.\//, '');
+}
@@ -0,0 +1,32 @@
+import { createTwoFilesPatch } from 'diff';
+
+// Longest diff shown for one page
+const MAX_DIFF_CHARS = 6000;
+
+/**
+ * Build a unified diff between two versions of a design document page
+ * @param {string} oldText - Markdown of the earlier version
+ * @param {string} newText - Markdown of the current version
+ * @param {Object} labels - Names of the two versions ({ from, to })
+ * @returns {string} Unified diff (cut short for large changes); empty when the text did not change
+ */
+export function diffDocumentVersions(oldText, newText, { from = 'before', to = 'after' } = {}) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  // Drop the "Index:" and "====" lines; the --- / +++ header names the versions
+  const patch = createTwoFilesPatch(from, to, `${oldText}\n`, `${newText}\n`, '', '', { context: 2 })
+    .split('\n')
+    .filter(line => !line.startsWith('Index:') && !/^=+$/.test(line))
+    // The header lines end in a tab before the (empty) file date
+    .map(line => (line.startsWith('--- ') || line.startsWith('+++ ') ? line.trimEnd() : line))
+    .join('\n')
+    .trim();
+
+  if (patch.length <= MAX_DIFF_CHARS) {
+    return patch;
+  }
+  const cut = patch.lastIndexOf('\n', MAX_DIFF_CHARS);
+  return `${patch.substring(0, cut > 0 ? cut : MAX_DIFF_CHARS)}\n... (diff truncated)`;
+}
@@ -0,0 +1,274 @@
+import { logger } from './logger.js';
+import { config } from '../config/index.js';
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+const RETRYABLE_SERVER_STATUSES = [500, 502, 503, 504];
+
+// Methods that are safe to repeat after a server or network error
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'patch', 'delete'];
+
+// GitHub asks clients to wait at least a minute after a secondary rate limit without Retry-After
+const SECONDARY_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+// Warn when the primary rate limit is about to run out
+const LOW_RATE_LIMIT_THRESHOLD = 100;
+
+const MAX_ETAG_CACHE_ENTRIES = 200;
+
+let sharedBudget = null;
+
+/**
+ * Sliding-window retry budget shared by all GitHub clients, so a struggling
+ * GitHub does not get hammered by retries from a whole batch of reviews
+ */
+export class RetryBudget {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.retries = [];
+  }
+
+  /**
+   * Number of retries still available in the current window
+   * @returns {number} Remaining retries
+   */
+  remaining() {
+    const cutoff = Date.now() - this.windowMs;
+    this.retries = this.retries.filter(timestamp => timestamp > cutoff);
+    return Math.max(0, this.limit - this.retries.length);
+  }
+
+  /**
+   * Spend one retry from the budget
+   * @returns {boolean} Whether a retry was available
+   */
+  take() {
+    if (this.remaining() === 0) {
+      return false;
+    }
+    this.retries.push(Date.now());
+    return true;
+  }
+}
+
+/**
+ * Add rate-limit awareness to a GitHub axios client: retries with exponential
+ * backoff and jitter, honoring Retry-After / X-RateLimit-Reset, conditional GET
+ * requests with ETags, and a retry budget shared by all GitHub clients
+ * @param {Object} client - The axios instance
+ * @param {Object} options - Overrides for config.github.retry (except the shared budget)
+ * @returns {Object} The client
+ */
+export function applyGitHubRequestLayer(client, options = {}) {
+  const settings = { ...config.github.retry, ...options };
+  if (!sharedBudget) {
+    sharedBudget = new RetryBudget(config.github.retry.budget, config.github.retry.budgetWindowMs);
+  }
+  const budget = sharedBudget;
+  const etagCache = new Map();
+
+  client.interceptors.request.use((request) => {
+    if (isCacheable(request)) {
+      const cached = etagCache.get(cacheKey(client, request));
+      if (cached) {
+        request.headers.set('If-None-Match', cached.etag);
+      }
+    }
+    return request;
+  });
+
+  client.interceptors.response.use((response) => {
+    logRateLimit(response);
+
+    const etag = response.headers?.etag;
+    if (etag && isCacheable(response.config)) {
+      const key = cacheKey(client, response.config);
+      // Re-insert so the Map's insertion order doubles as LRU order
+      etagCache.delete(key);
+      etagCache.set(key, { etag, data: response.data, headers: response.headers });
+      if (etagCache.size > MAX_ETAG_CACHE_ENTRIES) {
+        etagCache.delete(etagCache.keys().next().value);
+      }
+    }
+    return response;
+  }, async (error) => {
+    const request = error.config;
+    const response = error.response;
+
+    // 304 Not Modified: serve the cached body (conditional requests do not count against the rate limit)
+    if (response?.status === 304 && request) {
+      const cached = etagCache.get(cacheKey(client, request));
+      if (cached) {
+        logger.debug(`GitHub ${describeRequest(request)} not modified - using cached response`);
+        return { ...response, status: 200, statusText: 'OK (cached)', data: cached.data, headers: { ...cached.headers, ...response.headers }, fromCache: true };
+      }
+    }
+
+    if (!request) {
+      throw error;
+    }
+
+    const reason = getRetryReason(error);
+    if (!reason) {
+      throw error;
+    }
+
+    const attempt = (request.retryAttempt || 0) + 1;
+    if (attempt > settings.maxRetries) {
+      logger.warn(`GitHub ${describeRequest(request)} failed (${reason}) - giving up after ${settings.maxRetries} retries`);
+      throw error;
+    }
+
+    const delay = getRetryDelay(error, attempt, settings);
+    if (delay > settings.maxRateLimitWaitMs) {
+      logger.warn(`GitHub ${describeRequest(request)} failed (${reason}) - rate limit resets in ${formatDelay(delay)}, which exceeds the maximum wait of ${formatDelay(settings.maxRateLimitWaitMs)}`);
+      throw error;
+    }
+
+    if (!budget.take()) {
+      logger.warn(`GitHub ${describeRequest(request)} failed (${reason}) - retry budget exhausted (${budget.limit} retries per ${formatDelay(budget.windowMs)})`);
+      throw error;
+    }
+
+    logger.warn(`GitHub ${describeRequest(request)} failed (${reason}) - retry ${attempt}/${settings.maxRetries} in ${formatDelay(delay)} (retry budget: ${budget.remaining()}/${budget.limit} remaining)`);
+    await sleep(delay);
+
+    request.retryAttempt = attempt;
+    return client.request(request);
+  });
+
+  return client;
+}
+
+/**
+ * Decide whether a failed request should be retried
+ * @param {Error} error - The axios error
+ * @returns {string|null} Human readable reason, or null when the error is not retryable
+ */
+function getRetryReason(error) {
+  const response = error.response;
+  const method = (error.config?.method || 'get').toLowerCase();
+
+  if (!response) {
+    if (NETWORK_ERROR_CODES.includes(error.code) && IDEMPOTENT_METHODS.includes(method)) {
+      return `network error ${error.code}`;
+    }
+    return null;
+  }
+
+  // Rate limited requests were never processed, so any method can be retried
+  if (response.status === 429) {
+    return '429 rate limited';
+  }
+  if (response.status === 403) {
+    if (response.headers?.['x-ratelimit-remaining'] === '0') {
+      return '403 primary rate limit exhausted';
+    }
+    if (response.headers?.['retry-after'] || /secondary rate limit|abuse/i.test(response.data?.message || '')) {
+      return '403 secondary rate limit';
+    }
+    return null;
+  }
+
+  if (RETRYABLE_SERVER_STATUSES.includes(response.status) && IDEMPOTENT_METHODS.includes(method)) {
+    return `${response.status} server error`;
+  }
+
+  return null;
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ * @param {Error} error - The axios error
+ * @param {number} attempt - The upcoming retry number (1-based)
+ * @param {Object} settings - Retry settings
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, settings) {
+  const headers = error.response?.headers || {};
+
+  const retryAfter = parseInt(headers['retry-after'], 10);
+  if (!isNaN(retryAfter)) {
+    return retryAfter * 1000;
+  }
+
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    const resetAt = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+    // Add a second of slack for clock differences
+    return Math.max(0, resetAt - Date.now()) + 1000;
+  }
+
+  if (error.response?.status === 403) {
+    return SECONDARY_RATE_LIMIT_WAIT_MS;
+  }
+
+  // Exponential backoff; jitter spreads the upper half of each step so parallel clients do not retry in lockstep
+  const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Log the remaining primary rate limit when it runs low
+ * @param {Object} response - The axios response
+ */
+function logRateLimit(response) {
+  const remaining = parseInt(response.headers?.['x-ratelimit-remaining'], 10);
+  if (isNaN(remaining)) {
+    return;
+  }
+
+  const limit = response.headers['x-ratelimit-limit'];
+  const reset = new Date(parseInt(response.headers['x-ratelimit-reset'], 10) * 1000).toISOString();
+  if (remaining < LOW_RATE_LIMIT_THRESHOLD) {
+    logger.warn(`GitHub rate limit running low: ${remaining}/${limit} requests remaining until ${reset}`);
+  } else {
+    logger.debug(`GitHub rate limit: ${remaining}/${limit} remaining`);
+  }
+}
+
+/**
+ * Only plain GET requests are sent conditionally
+ * @param {Object} request - The axios request config
+ * @returns {boolean} Whether the request can use the ETag cache
+ */
+function isCacheable(request) {
+  return (request?.method || 'get').toLowerCase() === 'get';
+}
+
+/**
+ * Build the ETag cache key for a request
+ * @param {Object} client - The axios instance
+ * @param {Object} request - The axios request config
+ * @returns {string} Cache key
+ */
+function cacheKey(client, request) {
+  const accept = request.headers?.get?.('Accept') || request.headers?.Accept || '';
+  return `${accept} ${client.getUri(request)}`;
+}
+
+/**
+ * Describe a request for log messages
+ * @param {Object} request - The axios request config
+ * @returns {string} e.g. "GET /repos/owner/repo/pulls/1"
+ */
+function describeRequest(request) {
+  return `${(request.method || 'get').toUpperCase()} ${request.url}`;
+}
+
+/**
+ * Format a delay for log messages
+ * @param {number} ms - Delay in milliseconds
+ * @returns {string} e.g. "1.5s"
+ */
+function formatDelay(ms) {
+  return ms >= 60000 ? `${(ms / 60000).toFixed(1)}m` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Wait for the given time
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { getProxyForUrl } from 'proxy-from-env';
+import { config } from '../config/index.js';
+import { logger } from './logger.js';
+
+// Agents are shared per proxy/protocol combination so connections are pooled
+const agents = new Map();
+let caCertificates;
+
+/**
+ * HttpsProxyAgent only applies its TLS options to the proxy connection; this
+ * variant also verifies the tunnelled target against the custom CA bundle
+ */
+class TrustingHttpsProxyAgent extends HttpsProxyAgent {
+  constructor(proxyUrl, options) {
+    super(proxyUrl, options);
+    this.targetTlsOptions = options.ca ? { ca: options.ca } : {};
+  }
+
+  connect(req, opts) {
+    return super.connect(req, { ...opts, ...this.targetTlsOptions });
+  }
+}
+
+/**
+ * Get the agent every outbound HTTP client should use for a target URL.
+ * Applies HTTP(S)_PROXY / NO_PROXY from the environment and the custom CA bundle
+ * configured through CA_BUNDLE_PATH.
+ * @param {string} targetUrl - The URL (or base URL) the client talks to
+ * @returns {http.Agent|https.Agent|undefined} The agent, or undefined when the defaults apply
+ */
+export function getHttpAgent(targetUrl) {
+  const isHttps = targetUrl.startsWith('https:');
+  const proxyUrl = getProxyForUrl(targetUrl);
+  const ca = loadCaCertificates();
+
+  if (!proxyUrl && !ca) {
+    return undefined;
+  }
+
+  const key = `${isHttps ? 'https' : 'http'}|${proxyUrl || 'direct'}`;
+  if (!agents.has(key)) {
+    const options = { keepAlive: true, ...(ca && { ca }) };
+
+    let agent;
+    if (proxyUrl) {
+      logger.debug(`Routing ${isHttps ? 'HTTPS' : 'HTTP'} traffic through proxy ${redactProxyUrl(proxyUrl)}`);
+      agent = isHttps ? new TrustingHttpsProxyAgent(proxyUrl, options) : new HttpProxyAgent(proxyUrl, options);
+    } else {
+      agent = isHttps ? new https.Agent(options) : new http.Agent(options);
+    }
+    agents.set(key, agent);
+  }
+
+  return agents.get(key);
+}
+
+/**
+ * Build the axios options that route a client through the shared agents
+ * @param {string} baseUrl - The client's base URL
+ * @returns {Object} Options to spread into axios.create()
+ */
+export function getAxiosTransportOptions(baseUrl) {
+  const agent = getHttpAgent(baseUrl);
+  if (!agent) {
+    return {};
+  }
+
+  // Disable axios' built-in proxy handling - the agent already tunnels through the proxy
+  return baseUrl.startsWith('https:')
+    ? { httpsAgent: agent, proxy: false }
+    : { httpAgent: agent, proxy: false };
+}
+
+/**
+ * Load the custom CA bundle, keeping Node's built-in roots so public endpoints still verify
+ * @returns {string[]|null} CA certificates, or null when no bundle is configured
+ */
+function loadCaCertificates() {
+  if (caCertificates !== undefined) {
+    return caCertificates;
+  }
+
+  caCertificates = null;
+  if (config.network.caBundlePath) {
+    try {
+      const bundle = fs.readFileSync(config.network.caBundlePath, 'utf8');
+      caCertificates = [...tls.rootCertificates, bundle];
+      logger.info(`Loaded custom CA bundle from ${config.network.caBundlePath}`);
+    } catch (error) {
+      logger.error(`Failed to read CA bundle ${config.network.caBundlePath}:`, error.message);
+      throw error;
+    }
+  }
+
+  return caCertificates;
+}
+
+/**
+ * Hide credentials in a proxy URL before logging it
+ * @param {string} proxyUrl - The proxy URL
+ * @returns {string} The proxy URL without user info
+ */
+function redactProxyUrl(proxyUrl) {
+  try {
+    const url = new URL(proxyUrl);
+    if (url.username || url.password) {
+      url.username = '***';
+      url.password = '';
+    }
+    return url.toString();
+  } catch {
+    return proxyUrl;
+  }
+}
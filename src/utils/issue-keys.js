@@ -0,0 +1,44 @@
+/**
+ * Finding Jira issue keys (e.g. PLAT-1234) in PR metadata
+ */
+
+// Project keys start with a letter; branch names often use lower case ("plat-1234-fix-login")
+const ISSUE_KEY_PATTERN = /(?:^|[^A-Za-z0-9])([A-Za-z][A-Za-z0-9_]+-[1-9]\d*)(?![A-Za-z0-9])/g;
+
+// Encodings, hashes, standards and model names written like issue keys (UTF-8, SHA-256, ISO-8601, GPT-4)
+const NON_ISSUE_PREFIXES = new Set([
+  'AES', 'ARM', 'BASE', 'CRC', 'CVE', 'CWE', 'ECMA', 'ES', 'GPT', 'HTTP', 'IEC', 'IEEE', 'ISO', 'JEP', 'JSR',
+  'LATIN', 'MD', 'PEP', 'RFC', 'RSA', 'SHA', 'SSL', 'TLS', 'UCS', 'UTF', 'WINDOWS', 'X86'
+]);
+
+/**
+ * Extract Jira issue keys from PR metadata, most specific source first
+ * @param {Object} metadata - PR metadata ({ title, branch, body })
+ * @param {Object} options - Options
+ * @param {string[]} options.projectKeys - Only keep keys of these projects; all projects but the
+ *   NON_ISSUE_PREFIXES ones when empty
+ * @returns {string[]} Upper-case issue keys without duplicates. They are candidates: without
+ *   project keys, only Jira can tell whether one is an issue
+ */
+export function extractIssueKeys({ title = '', branch = '', body = '' } = {}, { projectKeys = [] } = {}) {
+  const keys = [];
+
+  for (const [source, text] of [['title', title], ['branch', branch], ['body', body]]) {
+    for (const match of (text || '').matchAll(ISSUE_KEY_PATTERN)) {
+      const key = match[1].toUpperCase();
+      // Only branch names are written in lower case; elsewhere "utf-8" is not an issue key
+      if (source !== 'branch' && match[1] !== key) {
+        continue;
+      }
+      const project = key.split('-')[0];
+      if (projectKeys.length > 0 ? !projectKeys.includes(project) : NON_ISSUE_PREFIXES.has(project)) {
+        continue;
+      }
+      if (!keys.includes(key)) {
+        keys.push(key);
+      }
+    }
+  }
+
+  return keys;
+}
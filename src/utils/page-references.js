@@ -0,0 +1,133 @@
+import { parseDocument } from 'htmlparser2';
+import { parseConfluenceUrl } from './confluence-url.js';
+
+// Macros that pull another page's content into the page
+const INCLUDE_MACROS = {
+  include: 'include',
+  'excerpt-include': 'excerpt'
+};
+
+/**
+ * Find the pages a page references in its storage format: pages pulled in with
+ * the include and excerpt-include macros, and linked pages
+ * (ac:link elements and plain links to the same Confluence site)
+ * @param {string} storage - Storage format XHTML
+ * @param {Object} options - Options
+ * @param {string} options.siteUrl - Confluence site root; plain links elsewhere are ignored
+ * @returns {Object[]} References ({ type: 'include'|'excerpt'|'link', pageId?, tinyCode?, spaceKey?, title? }),
+ *   includes first, without duplicates
+ */
+export function extractPageReferences(storage, { siteUrl = '' } = {}) {
+  if (!storage) {
+    return [];
+  }
+
+  const references = [];
+  const visit = (node, includeType) => {
+    if (node.type !== 'tag' && node.type !== 'root') {
+      return;
+    }
+
+    if (node.name === 'ac:structured-macro' || node.name === 'ac:macro') {
+      const type = INCLUDE_MACROS[node.attribs['ac:name']];
+      if (type) {
+        (node.children || []).forEach(child => visit(child, type));
+        return;
+      }
+    }
+
+    if (node.name === 'ri:page') {
+      const reference = fromPageResource(node, includeType || 'link');
+      if (reference) {
+        references.push(reference);
+      }
+    } else if (node.name === 'a' && node.attribs.href && siteUrl && node.attribs.href.startsWith(siteUrl)) {
+      const parsed = parseConfluenceUrl(node.attribs.href);
+      if (parsed) {
+        const { version, ...target } = parsed;
+        references.push({ type: 'link', ...target });
+      }
+    }
+
+    (node.children || []).forEach(child => visit(child, includeType));
+  };
+  visit(parseDocument(storage, { recognizeCDATA: true, recognizeSelfClosing: true }), null);
+
+  const seen = new Set();
+  return references
+    .sort((a, b) => (a.type === 'link') - (b.type === 'link'))
+    .filter(reference => {
+      const key = referenceKey(reference);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * A stable key for a page reference, used to skip references that were already followed
+ * @param {Object} reference - Page reference
+ * @returns {string} Key
+ */
+export function referenceKey(reference) {
+  if (reference.pageId) {
+    return `id:${reference.pageId}`;
+  }
+  if (reference.tinyCode) {
+    return `tiny:${reference.tinyCode}`;
+  }
+  return `title:${reference.spaceKey || ''}:${reference.title}`;
+}
+
+/**
+ * Build a reference from a ri:page resource identifier
+ * @param {Object} node - The ri:page element
+ * @param {string} type - Reference type
+ * @returns {Object|null} Page reference
+ */
+function fromPageResource(node, type) {
+  const pageId = node.attribs['ri:content-id'];
+  const title = node.attribs['ri:content-title'];
+  if (pageId) {
+    return { type, pageId, title: title || null };
+  }
+  if (!title) {
+    return null;
+  }
+  // Without a space key the page is in the same space as the referencing page
+  return { type, spaceKey: node.attribs['ri:space-key'] || null, title };
+}
+
+/**
+ * Describe how a page of the design context was reached
+ * @param {Object} page - Page from ConfluenceService.getPageContent ({ via, parent })
+ * @returns {string} Description, e.g. 'child page of "Payments"'; empty for the linked design document
+ */
+export function describePageSource(page) {
+  switch (page.via) {
+    case 'include':
+      return `included by "${page.parent}"`;
+    case 'excerpt':
+      return `excerpt included by "${page.parent}"`;
+    case 'child':
+      return `child page of "${page.parent}"`;
+    case 'link':
+      return `linked from "${page.parent}"`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Render one page of a multi-page design context as a section headed with its title and source
+ * @param {Object} page - Page ({ title, url, via, parent })
+ * @param {number} index - Position of the page in the design context
+ * @param {string} content - Markdown content of the page
+ * @returns {string} Markdown section
+ */
+export function formatPageSection(page, index, content) {
+  const source = describePageSource(page);
+  return `## [Page ${index + 1}] ${page.title}${source ? ` (${source})` : ''}\nSource: ${page.url || 'N/A'}\n\n${content}`;
+}
@@ -0,0 +1,102 @@
+import YAML from 'yaml';
+
+/**
+ * Prompt templates: Markdown files with YAML front matter (version, description) and
+ * {{variable}} placeholders, e.g. {{pr.title}} or {{design.title}}.
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * Parse a template file
+ * @param {string} text - File content
+ * @param {Object} origin - Where the template comes from
+ * @param {string} origin.name - Template name (system, analysis, merge)
+ * @param {string} origin.source - 'builtin' or 'repository'
+ * @param {string} origin.path - Path of the file
+ * @param {string} origin.sha - Blob SHA, for repository templates
+ * @returns {Object} Template ({ name, source, path, sha, version, description, body }); version is null when the front matter has none
+ * @throws {Error} When the front matter is not valid YAML
+ */
+export function parseTemplate(text, { name, source, path = null, sha = null }) {
+  const match = (text || '').match(FRONT_MATTER_PATTERN);
+  let frontMatter = {};
+  if (match) {
+    try {
+      frontMatter = YAML.parse(match[1]) || {};
+    } catch (error) {
+      throw new Error(`Invalid front matter in ${path || name}: ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  return {
+    name,
+    source,
+    path,
+    sha,
+    // Repository templates without a version are told apart by their blob SHA
+    version: frontMatter.version !== undefined && frontMatter.version !== null ? String(frontMatter.version) : null,
+    description: frontMatter.description || '',
+    body: match ? text.substring(match[0].length) : text || ''
+  };
+}
+
+/**
+ * List the variables a template uses
+ * @param {Object} template - Parsed template
+ * @returns {string[]} Variable names, without duplicates
+ */
+export function findTemplateVariables(template) {
+  return [...new Set([...template.body.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Fill in a template's variables. Values are inserted as they are, so placeholders inside
+ * them (a diff can contain "{{") are left alone; unknown variables render empty.
+ * @param {Object} template - Parsed template
+ * @param {Object} variables - Values, nested by the dotted variable names
+ * @returns {string} The rendered prompt
+ */
+export function renderTemplate(template, variables) {
+  return template.body.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = name.split('.').reduce((current, key) => current?.[key], variables);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Describe the templates a review used, for the review comment
+ * @param {Object} templates - Template set by name
+ * @returns {string} e.g. "system v1, analysis v3 (.github/design-review/analysis.md)"
+ */
+export function describeTemplates(templates) {
+  return Object.values(templates)
+    .map(template => `${template.name} ${formatVersion(template)}${template.source === 'repository' ? ` (${template.path})` : ''}`)
+    .join(', ');
+}
+
+/**
+ * Format a template's version, or its blob SHA when it has none
+ * @param {Object} template - Parsed template
+ * @returns {string} e.g. "v3" or "@1a2b3c4"
+ */
+function formatVersion(template) {
+  if (template.version) {
+    return `v${template.version}`;
+  }
+  return template.sha ? `@${template.sha.substring(0, 7)}` : 'unversioned';
+}
+
+/**
+ * Record the templates a review used in the review state
+ * @param {Object} templates - Template set by name
+ * @returns {Object} { <name>: { source, version, path?, sha? } }
+ */
+export function listTemplateVersions(templates) {
+  return Object.fromEntries(Object.values(templates).map(template => [template.name, {
+    source: template.source,
+    version: template.version,
+    ...(template.source === 'repository' && { path: template.path, sha: template.sha })
+  }]));
+}
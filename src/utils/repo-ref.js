@@ -0,0 +1,69 @@
+import { config } from '../config/index.js';
+
+/**
+ * Get the repository configured through GITHUB_REPO_OWNER / GITHUB_REPO_NAME
+ * @returns {Object|null} The default repository ({ owner, repo }), if configured
+ */
+export function getDefaultRepo() {
+  if (!config.github.repoOwner || !config.github.repoName) {
+    return null;
+  }
+  return { owner: config.github.repoOwner, repo: config.github.repoName };
+}
+
+/**
+ * Format a repository reference for logs and messages
+ * @param {Object} repoRef - Repository reference ({ owner, repo })
+ * @returns {string} "owner/repo"
+ */
+export function formatRepo(repoRef) {
+  return repoRef ? `${repoRef.owner}/${repoRef.repo}` : 'unknown repository';
+}
+
+/**
+ * Parse a pull request reference given on the command line.
+ * Accepts "owner/repo#123", pull request URLs and plain "123"
+ * (which uses the default repository).
+ * @param {string} input - The pull request reference
+ * @returns {Object|null} { repoRef, prNumber }, or null if the input is not valid
+ */
+export function parsePullRequestRef(input) {
+  const value = String(input || '').trim();
+
+  const shortMatch = value.match(/^([\w.-]+)\/([\w.-]+)#(\d+)$/);
+  // Pull request URLs on github.com or a GitHub Enterprise Server host
+  const urlMatch = value.match(/^https?:\/\/[^/]+\/([\w.-]+)\/([\w.-]+)\/pull\/(\d+)/);
+  const match = shortMatch || urlMatch;
+  if (match) {
+    const prNumber = parseInt(match[3], 10);
+    return prNumber > 0 ? { repoRef: { owner: match[1], repo: match[2] }, prNumber } : null;
+  }
+
+  if (/^\d+$/.test(value)) {
+    const prNumber = parseInt(value, 10);
+    const repoRef = getDefaultRepo();
+    return prNumber > 0 && repoRef ? { repoRef, prNumber } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Check a repository against the configured allowlist (GITHUB_REPO_ALLOWLIST).
+ * Entries are "owner/repo" or "owner/*"; an empty allowlist allows every repository.
+ * @param {Object} repoRef - Repository reference ({ owner, repo })
+ * @returns {boolean} Whether the repository may be reviewed
+ */
+export function isRepoAllowed(repoRef) {
+  const allowlist = config.github.repoAllowlist;
+  if (!allowlist || allowlist.length === 0) {
+    return true;
+  }
+
+  const owner = repoRef.owner.toLowerCase();
+  const fullName = `${owner}/${repoRef.repo.toLowerCase()}`;
+  return allowlist.some(entry => {
+    const normalized = entry.toLowerCase();
+    return normalized === fullName || normalized === `${owner}/*`;
+  });
+}
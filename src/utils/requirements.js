@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+
+/**
+ * Requirements pulled out of the design context and the traceability checklist built from them.
+ *
+ * Requirement shape:
+ * { id, text, source, explicit, status, evidence: [{ path, line }], note, checkedSha }
+ *
+ * Status is 'implemented', 'partial', 'missing' (not addressed) or 'contradicted';
+ * null until the LLM has checked the requirement against the changes.
+ */
+
+// Requirement IDs written in design documents: REQ-12, FR-3, NFR-2.1
+const EXPLICIT_ID_PATTERN = /\b(?:REQ|FR|NFR)-\d+(?:\.\d+)*\b/g;
+
+// Requirement text kept in the review state, which lives in a size-limited comment
+const MAX_TEXT_CHARS = 200;
+
+export const REQUIREMENT_STATUSES = {
+  implemented: { icon: '✅', label: 'Implemented' },
+  partial: { icon: '🟡', label: 'Partially implemented' },
+  missing: { icon: '⬜', label: 'Not addressed' },
+  contradicted: { icon: '❌', label: 'Contradicted' }
+};
+
+/**
+ * Find the requirement IDs a design context already uses
+ * @param {string} text - Design context text
+ * @returns {string[]} Explicit requirement IDs in document order, without duplicates
+ */
+export function findExplicitRequirementIds(text) {
+  return [...new Set((text || '').match(EXPLICIT_ID_PATTERN) || [])];
+}
+
+/**
+ * Parse the requirements listed by the LLM, one per line:
+ * REQUIREMENT | <id> | <source> | <requirement>
+ * @param {string} response - LLM response
+ * @param {Object} options - Options
+ * @param {string[]} options.explicitIds - IDs found in the design context; other IDs count as synthesized
+ * @param {number} options.limit - Maximum number of requirements kept
+ * @returns {Object[]} Requirements ({ id, text, source, explicit })
+ */
+export function parseRequirements(response, { explicitIds = [], limit = Infinity } = {}) {
+  const requirements = [];
+  const explicit = new Set(explicitIds);
+
+  for (const line of (response || '').split('\n')) {
+    const match = line.match(/^\s*[-*]?\s*REQUIREMENT\s*\|\s*\[?([A-Za-z][\w.-]*)\]?\s*\|\s*([^|]*?)\s*\|\s*(.+)$/i);
+    if (!match) {
+      continue;
+    }
+    const id = match[1].toUpperCase();
+    if (requirements.some(requirement => requirement.id === id)) {
+      continue;
+    }
+    const text = match[3].trim();
+    requirements.push({
+      id,
+      text: text.length > MAX_TEXT_CHARS ? `${text.substring(0, MAX_TEXT_CHARS - 3)}...` : text,
+      source: match[2] || null,
+      explicit: explicit.has(id)
+    });
+  }
+
+  return requirements.slice(0, limit);
+}
+
+/**
+ * Carry the status of an earlier review over to requirements that are unchanged
+ * @param {Object[]} requirements - Requirements of the design context
+ * @param {Object[]} previous - Requirements from the stored review state
+ * @returns {Object[]} Requirements, with the earlier status where the requirement text is the same
+ */
+export function carryOverTraceability(requirements, previous = []) {
+  const previousById = new Map(previous.map(requirement => [requirement.id, requirement]));
+  return requirements.map(requirement => {
+    const earlier = previousById.get(requirement.id);
+    if (!earlier?.status || earlier.text !== requirement.text) {
+      return requirement;
+    }
+    return { ...requirement, status: earlier.status, evidence: earlier.evidence || [], note: earlier.note || '', checkedSha: earlier.checkedSha };
+  });
+}
+
+/**
+ * Apply the traceability reported by a review run to the requirements
+ * @param {Object[]} requirements - Requirements of the design context, with the status of the last review
+ * @param {Object[]} traces - Parsed TRACE lines
+ * @param {Object} options - Merge options
+ * @param {string} options.headSha - Commit reviewed by this run
+ * @param {boolean} options.incremental - Whether this run only saw the changes since the last review
+ * @returns {Object[]} Requirements with status, evidence and note
+ */
+export function applyTraceability(requirements, traces, { headSha, incremental = false } = {}) {
+  const traceById = new Map(traces.map(trace => [trace.id, trace]));
+
+  return requirements.map(requirement => {
+    const trace = traceById.get(requirement.id);
+    if (trace) {
+      return { ...requirement, status: trace.status, evidence: trace.evidence, note: trace.note, checkedSha: headSha };
+    }
+    // An incremental run only reports the requirements the new commits touch
+    if (incremental && requirement.status) {
+      return requirement;
+    }
+    return { ...requirement, status: null, evidence: [], note: '', checkedSha: null };
+  });
+}
+
+/**
+ * Link to a line in the PR's "Files changed" view
+ * @param {string} prUrl - PR web URL
+ * @param {Object} evidence - Location ({ path, line })
+ * @returns {string} URL of the line in the PR diff
+ */
+export function buildEvidenceLink(prUrl, { path, line }) {
+  const anchor = crypto.createHash('sha256').update(path).digest('hex');
+  return `${prUrl}/files#diff-${anchor}R${line}`;
+}
+
+/**
+ * Render the requirements as a checklist for the review comment
+ * @param {Object[]} requirements - Requirements with traceability
+ * @param {Object} options - Options
+ * @param {string} options.prUrl - PR web URL, for evidence links
+ * @returns {string} Markdown section, or an empty string without requirements
+ */
+export function formatTraceabilityChecklist(requirements, { prUrl = null } = {}) {
+  if (!requirements?.length) {
+    return '';
+  }
+
+  const counts = Object.entries(REQUIREMENT_STATUSES)
+    .map(([status, { icon, label }]) => {
+      const count = requirements.filter(requirement => requirement.status === status).length;
+      return count > 0 ? `${icon} ${count} ${label.toLowerCase()}` : null;
+    })
+    .filter(Boolean);
+
+  const lines = requirements.map(requirement => {
+    const status = REQUIREMENT_STATUSES[requirement.status];
+    const checkbox = requirement.status === 'implemented' ? '[x]' : '[ ]';
+    const statusText = status ? `${status.icon} ${status.label}` : '❔ Not checked';
+    const id = requirement.explicit ? `**${requirement.id}**` : `**${requirement.id}** <sub>(derived)</sub>`;
+    const source = requirement.source ? ` <sub>${requirement.source}</sub>` : '';
+    const evidence = (requirement.evidence || []).map(location => {
+      const name = `${location.path}:${location.line}`;
+      return prUrl ? `[\`${name}\`](${buildEvidenceLink(prUrl, location)})` : `\`${name}\``;
+    });
+    const details = [requirement.note, evidence.length > 0 ? `Evidence: ${evidence.join(', ')}` : null].filter(Boolean);
+    return `- ${checkbox} ${id} ${requirement.text}${source} - ${statusText}${details.length > 0 ? `\n  ${details.join(' · ')}` : ''}`;
+  });
+
+  return `### 📋 Requirements Traceability\n\n${counts.length > 0 ? `${counts.join(' · ')}\n\n` : ''}${lines.join('\n')}`;
+}
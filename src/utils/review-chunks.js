@@ -0,0 +1,275 @@
+/**
+ * Splitting a review that does not fit into the model's context: the change list is cut into
+ * chunks by file (and by hunk for oversized files), each chunk is reviewed against the design
+ * sections relevant to it, and the chunk reviews are merged back into one review model.
+ */
+
+import { toUnifiedDiff } from './change-list.js';
+import { estimateTokens, truncateToTokens } from './token-budget.js';
+import { FINDING_SEVERITIES } from './review-schema.js';
+
+// Findings on the same file within this many lines of each other can be the same issue
+const DUPLICATE_LINE_DISTANCE = 3;
+
+// Most evidence locations kept per requirement when chunk traces are merged
+const MAX_TRACE_EVIDENCE = 5;
+
+// A requirement's merged status: a conflict anywhere wins, then an implementation anywhere
+const TRACE_STATUS_PRECEDENCE = ['contradicted', 'implemented', 'partial', 'missing'];
+
+// Marks design sections left out of a chunk's prompt
+const OMITTED_SECTIONS = '\n... (sections not relevant to this part of the PR omitted)\n';
+
+// Words too common in code and prose to tell design sections apart
+const STOP_WORDS = new Set([
+  'this', 'that', 'with', 'from', 'have', 'will', 'should', 'must', 'when', 'then', 'than', 'each',
+  'return', 'const', 'function', 'import', 'export', 'class', 'true', 'false', 'null', 'undefined',
+  'string', 'number', 'async', 'await', 'public', 'private', 'static', 'void', 'else', 'diff', 'file'
+]);
+
+/**
+ * Split the change list into chunks that each fit the token budget. Files stay whole where
+ * they fit; larger files are split at hunk boundaries, and a single oversized hunk is cut.
+ * @param {Object[]} changes - Change list
+ * @param {number} maxTokens - Token budget of one chunk's diff
+ * @param {Object} limits - Model limits from getModelLimits
+ * @returns {Object[]} Chunks ({ changes, tokens, paths })
+ */
+export function chunkChanges(changes, maxTokens, limits) {
+  const chunks = [];
+  let current = null;
+
+  for (const piece of changes.flatMap(change => splitChange(change, maxTokens, limits))) {
+    const tokens = estimateTokens(toUnifiedDiff([piece]), limits);
+    if (!current || current.tokens + tokens > maxTokens) {
+      current = { changes: [], tokens: 0, paths: [] };
+      chunks.push(current);
+    }
+
+    // Hunks of one file that end up in the same chunk are rendered as one file diff again
+    const last = current.changes[current.changes.length - 1];
+    if (last && last.path === piece.path) {
+      current.changes[current.changes.length - 1] = { ...last, patch: `${last.patch}\n${piece.patch}` };
+    } else {
+      current.changes.push(piece);
+      current.paths.push(piece.path);
+    }
+    current.tokens += tokens;
+  }
+
+  return chunks;
+}
+
+/**
+ * Split one file's change into hunks when it does not fit into a chunk
+ * @param {Object} change - Change list entry
+ * @param {number} maxTokens - Token budget of one chunk's diff
+ * @param {Object} limits - Model limits from getModelLimits
+ * @returns {Object[]} The change, or one entry per hunk
+ */
+function splitChange(change, maxTokens, limits) {
+  if (!change.hasPatch || estimateTokens(toUnifiedDiff([change]), limits) <= maxTokens) {
+    return [change];
+  }
+
+  const headerTokens = estimateTokens(toUnifiedDiff([{ ...change, patch: '' }]), limits);
+  return change.patch
+    .split(/\n(?=@@ )/)
+    .map(hunk => ({ ...change, patch: truncateToTokens(hunk, maxTokens - headerTokens, limits) }));
+}
+
+/**
+ * Split design text into sections at its Markdown headings
+ * @param {string} text - Design document text
+ * @returns {string[]} Sections, each starting with its heading (the first may have none)
+ */
+export function splitDesignSections(text) {
+  return (text || '')
+    .split(/\n(?=#{1,4} )/)
+    .filter(section => section.trim());
+}
+
+/**
+ * Select the design sections most relevant to a chunk of the diff, by the identifiers and
+ * path segments they share with it. The opening section (title and overview) is kept first;
+ * the selected sections stay in document order.
+ * @param {string} text - Design document text
+ * @param {string} diff - The chunk's diff
+ * @param {number} maxTokens - Token budget for the design text
+ * @param {Object} limits - Model limits from getModelLimits
+ * @returns {string} The design text, or the selected sections of it
+ */
+export function selectRelevantSections(text, diff, maxTokens, limits) {
+  if (estimateTokens(text, limits) <= maxTokens) {
+    return text;
+  }
+
+  const sections = splitDesignSections(text);
+  const terms = extractTerms(diff);
+  const ranked = sections
+    .map((section, index) => ({
+      index,
+      tokens: estimateTokens(section, limits),
+      score: index === 0 ? Infinity : [...extractTerms(section)].filter(term => terms.has(term)).length
+    }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const selected = new Set();
+  let remaining = maxTokens;
+  for (const entry of ranked) {
+    if (entry.tokens <= remaining) {
+      selected.add(entry.index);
+      remaining -= entry.tokens;
+    }
+  }
+  if (selected.size === 0) {
+    return truncateToTokens(text, maxTokens, limits);
+  }
+
+  const parts = [];
+  sections.forEach((section, index) => {
+    if (selected.has(index)) {
+      parts.push(section);
+    } else if (parts[parts.length - 1] !== OMITTED_SECTIONS) {
+      parts.push(OMITTED_SECTIONS);
+    }
+  });
+  return parts.join('\n');
+}
+
+/**
+ * Collect the distinctive words of a text: identifiers split at camelCase, snake_case and
+ * path separators, lowercased
+ * @param {string} text - Diff or design text
+ * @returns {Set<string>} Words of four or more letters
+ */
+function extractTerms(text) {
+  const words = (text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/);
+  return new Set(words.filter(word => word.length >= 4 && !STOP_WORDS.has(word) && !/^\d+$/.test(word)));
+}
+
+/**
+ * Merge the reviews of the chunks into one review model. Findings reported by more than one
+ * chunk are removed, keeping the most severe; traceability is combined per requirement.
+ * Chunks whose response could not be read are left out; the merged review is only invalid
+ * when none could be read.
+ * @param {Object[]} allReviews - Review models of the chunks, in chunk order
+ * @returns {Object} Review model; the summary lists the chunk summaries
+ */
+export function mergeChunkReviews(allReviews) {
+  const readable = allReviews.filter(review => !review.invalid);
+  const reviews = readable.length > 0 ? readable : allReviews;
+  const findings = [];
+  for (const finding of reviews.flatMap(review => review.findings)) {
+    const index = findings.findIndex(existing => isSameFinding(existing, finding));
+    if (index === -1) {
+      findings.push(finding);
+    } else if (severityRank(finding) < severityRank(findings[index])) {
+      findings[index] = finding;
+    }
+  }
+
+  return {
+    summary: reviews.length === 1 ? reviews[0].summary : reviews
+      .map((review, index) => (review.summary ? `**Part ${index + 1} of ${reviews.length}**\n\n${review.summary}` : null))
+      .filter(Boolean)
+      .join('\n\n'),
+    findings,
+    resolvedIds: [...new Set(reviews.flatMap(review => review.resolvedIds))],
+    traces: mergeTraces(reviews.flatMap(review => review.traces)),
+    raw: allReviews.map(review => review.raw).join('\n\n'),
+    invalid: readable.length === 0
+  };
+}
+
+/**
+ * Keep one finding of each group the final pass found to report the same issue, the most severe
+ * @param {Object[]} findings - Merged findings
+ * @param {number[][]} groups - Groups of finding indexes
+ * @returns {Object[]} Findings without the duplicates
+ */
+export function removeDuplicateFindings(findings, groups) {
+  const dropped = new Set();
+  for (const group of groups) {
+    const kept = group.reduce((best, index) => (severityRank(findings[index]) < severityRank(findings[best]) ? index : best));
+    group.filter(index => index !== kept).forEach(index => dropped.add(index));
+  }
+  return findings.filter((finding, index) => !dropped.has(index));
+}
+
+/**
+ * Decide whether two chunk findings report the same issue: the same place and the same
+ * requirement or category, or the same rationale
+ * @param {Object} a - Finding
+ * @param {Object} b - Finding
+ * @returns {boolean} True for a duplicate
+ */
+function isSameFinding(a, b) {
+  if (a.path !== b.path) {
+    return false;
+  }
+  if (normalizeMessage(a.message) === normalizeMessage(b.message)) {
+    return true;
+  }
+  if (a.requirement ? a.requirement !== b.requirement : a.category !== b.category) {
+    return false;
+  }
+  if (!a.line || !b.line) {
+    // Two findings on the whole PR (or file) about the same requirement
+    return !a.line && !b.line && Boolean(a.requirement);
+  }
+  return a.line <= (b.endLine || b.line) + DUPLICATE_LINE_DISTANCE
+    && b.line <= (a.endLine || a.line) + DUPLICATE_LINE_DISTANCE;
+}
+
+/**
+ * Normalize a rationale for comparison
+ * @param {string} message - Finding rationale
+ * @returns {string} Lowercased words
+ */
+function normalizeMessage(message) {
+  return (message || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Rank a finding's severity, 0 being the most severe
+ * @param {Object} finding - Finding
+ * @returns {number} Rank
+ */
+function severityRank(finding) {
+  return FINDING_SEVERITIES.indexOf(finding.severity);
+}
+
+/**
+ * Combine the traceability the chunks reported for each requirement. Evidence is collected
+ * from every chunk; the notes come from the chunks that reported the resulting status.
+ * @param {Object[]} traces - Traces of all chunks
+ * @returns {Object[]} One trace per requirement
+ */
+function mergeTraces(traces) {
+  const byId = new Map();
+  for (const trace of traces) {
+    byId.set(trace.id, [...(byId.get(trace.id) || []), trace]);
+  }
+
+  return [...byId.entries()].map(([id, reported]) => {
+    const status = TRACE_STATUS_PRECEDENCE.find(candidate => reported.some(trace => trace.status === candidate));
+    const evidence = [];
+    for (const location of reported.flatMap(trace => trace.evidence)) {
+      if (!evidence.some(existing => existing.path === location.path && existing.line === location.line)) {
+        evidence.push(location);
+      }
+    }
+    const notes = reported.filter(trace => trace.status === status && trace.note).map(trace => trace.note);
+    return {
+      id,
+      status,
+      evidence: evidence.slice(0, MAX_TRACE_EVIDENCE),
+      note: [...new Set(notes)].join('; ')
+    };
+  });
+}
@@ -0,0 +1,300 @@
+/**
+ * The structured review the LLM returns: its JSON schema, and parsing and validation of
+ * responses into the review model the reporters render from.
+ *
+ * Review model:
+ * { summary, findings: [{ severity, category, path, line, endLine, requirement, message, suggestion }],
+ *   resolvedIds, traces: [{ id, status, evidence: [{ path, line }], note }] }
+ *
+ * Findings keep the names used throughout the review state: path is the schema's file,
+ * line and endLine its line range, message its rationale.
+ */
+
+export const FINDING_SEVERITIES = ['critical', 'warning', 'info'];
+
+export const FINDING_CATEGORIES = [
+  'design-conflict',
+  'missing-requirement',
+  'api-contract',
+  'data-model',
+  'security',
+  'performance',
+  'error-handling',
+  'testing',
+  'other'
+];
+
+const TRACE_STATUSES = ['implemented', 'partial', 'missing', 'contradicted'];
+
+// Shape of the response; strict enough for OpenAI structured outputs (every property required, no extras)
+export const REVIEW_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['summary', 'findings', 'resolved', 'traceability'],
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'Markdown overview of the review: alignment with the design, major positives and the top 2-3 recommendations. Under 300 words, bullet points and emojis.'
+    },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['severity', 'category', 'file', 'startLine', 'endLine', 'requirement', 'rationale', 'suggestion'],
+        properties: {
+          severity: { type: 'string', enum: FINDING_SEVERITIES },
+          category: { type: 'string', enum: FINDING_CATEGORIES },
+          file: { type: ['string', 'null'], description: 'Changed file the finding applies to; null for findings about the PR as a whole' },
+          startLine: { type: ['integer', 'null'], description: 'First line in the new version of the file; must appear in the diff' },
+          endLine: { type: ['integer', 'null'], description: 'Last line of the range; same as startLine for a single line' },
+          requirement: { type: ['string', 'null'], description: 'Requirement ID (e.g. REQ-12, R-3), Jira issue key or design document section the finding is based on' },
+          rationale: { type: 'string', description: 'One or two sentences on what conflicts with the design and why' },
+          suggestion: { type: 'string', description: 'Concrete change that fixes the finding' }
+        }
+      }
+    },
+    resolved: {
+      type: 'array',
+      description: 'IDs of earlier findings the changes fix',
+      items: { type: 'string' }
+    },
+    traceability: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['id', 'status', 'evidence', 'note'],
+        properties: {
+          id: { type: 'string', description: 'Requirement ID' },
+          status: { type: 'string', enum: TRACE_STATUSES },
+          evidence: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['file', 'line'],
+              properties: {
+                file: { type: 'string' },
+                line: { type: 'integer' }
+              }
+            }
+          },
+          note: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Parse the JSON object in an LLM response. Code fences and text around the object are
+ * ignored, and trailing commas are removed.
+ * @param {string} response - LLM response
+ * @returns {Object} Parsed JSON
+ * @throws {Error} When the response contains no parsable JSON object
+ */
+export function parseReviewJson(response) {
+  const text = String(response || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('The response contains no JSON object');
+  }
+
+  const json = text.substring(start, end + 1);
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    try {
+      return JSON.parse(json.replace(/,\s*([}\]])/g, '$1'));
+    } catch {
+      throw new Error(`The response is not valid JSON: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Validate a parsed review against the schema and normalize it into the review model.
+ * Invalid findings and traceability entries are dropped; each problem is reported so the
+ * response can be repaired.
+ * @param {Object} data - Parsed JSON
+ * @param {Object} options - Options
+ * @param {string[]} options.requirementIds - IDs of the requirements traceability may be reported for
+ * @returns {Object} { review, errors } - the review model and the problems found
+ */
+export function validateReview(data, { requirementIds = [] } = {}) {
+  const errors = [];
+  const review = { summary: '', findings: [], resolvedIds: [], traces: [] };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('The response must be a JSON object');
+    return { review, errors };
+  }
+
+  if (typeof data.summary === 'string') {
+    review.summary = data.summary.trim();
+  } else {
+    errors.push('"summary" must be a string');
+  }
+
+  const findings = readArray(data, 'findings', errors);
+  findings.forEach((finding, index) => {
+    const normalized = normalizeFinding(finding, `findings[${index}]`, errors);
+    if (normalized) {
+      review.findings.push(normalized);
+    }
+  });
+
+  review.resolvedIds = readArray(data, 'resolved', errors)
+    .map(id => String(id).replace(/[[\]`]/g, '').trim().toLowerCase())
+    .filter(id => /^[0-9a-f]+$/.test(id));
+
+  const knownIds = new Set(requirementIds);
+  readArray(data, 'traceability', errors).forEach((trace, index) => {
+    const id = String(trace?.id || '').trim().toUpperCase();
+    const status = String(trace?.status || '').toLowerCase();
+    if (!knownIds.has(id)) {
+      errors.push(`traceability[${index}].id "${trace?.id}" is not one of the listed requirements`);
+      return;
+    }
+    if (!TRACE_STATUSES.includes(status)) {
+      errors.push(`traceability[${index}].status must be one of ${TRACE_STATUSES.join(', ')}`);
+      return;
+    }
+    review.traces.push({
+      id,
+      status,
+      evidence: (Array.isArray(trace.evidence) ? trace.evidence : [])
+        .map(location => ({ path: cleanPath(location?.file), line: toLineNumber(location?.line) }))
+        .filter(location => location.path && location.line),
+      note: typeof trace.note === 'string' ? trace.note.trim() : ''
+    });
+  });
+
+  return { review, errors };
+}
+
+/**
+ * Read an array property, reporting it when it is present but not an array
+ * @param {Object} data - Parsed JSON
+ * @param {string} key - Property name
+ * @param {string[]} errors - Problems found so far
+ * @returns {Array} The array, or an empty one
+ */
+function readArray(data, key, errors) {
+  if (data[key] === undefined || data[key] === null) {
+    return [];
+  }
+  if (!Array.isArray(data[key])) {
+    errors.push(`"${key}" must be an array`);
+    return [];
+  }
+  return data[key];
+}
+
+/**
+ * Normalize one finding; findings without a rationale are dropped
+ * @param {Object} finding - Finding from the response
+ * @param {string} name - Name used in error messages
+ * @param {string[]} errors - Problems found so far
+ * @returns {Object|null} Finding in the review model
+ */
+function normalizeFinding(finding, name, errors) {
+  if (!finding || typeof finding !== 'object') {
+    errors.push(`${name} must be an object`);
+    return null;
+  }
+  const rationale = typeof finding.rationale === 'string' ? finding.rationale.trim() : '';
+  if (!rationale) {
+    errors.push(`${name}.rationale is missing`);
+    return null;
+  }
+
+  const severity = String(finding.severity || '').toLowerCase();
+  if (!FINDING_SEVERITIES.includes(severity)) {
+    errors.push(`${name}.severity must be one of ${FINDING_SEVERITIES.join(', ')}`);
+    return null;
+  }
+
+  const category = String(finding.category || '').toLowerCase();
+  const path = cleanPath(finding.file);
+  const line = path ? toLineNumber(finding.startLine) : null;
+  const endLine = line ? toLineNumber(finding.endLine) : null;
+
+  return {
+    severity,
+    // An unknown category is not worth a repair round
+    category: FINDING_CATEGORIES.includes(category) ? category : 'other',
+    path,
+    line,
+    endLine: endLine && endLine > line ? endLine : null,
+    requirement: typeof finding.requirement === 'string' && finding.requirement.trim() ? finding.requirement.trim() : null,
+    message: rationale,
+    suggestion: typeof finding.suggestion === 'string' ? finding.suggestion.trim() : ''
+  };
+}
+
+/**
+ * Clean a file path from the response
+ * @param {*} value - Raw value
+ * @returns {string|null} Path, or null when there is none
+ */
+function cleanPath(value) {
+  const path = typeof value === 'string' ? value.replace(/`/g, '').trim() : '';
+  return path && path !== '-' ? path : null;
+}
+
+/**
+ * Read a line number, also when it was given as a string ("L42")
+ * @param {*} value - Raw value
+ * @returns {number|null} Positive line number, or null
+ */
+function toLineNumber(value) {
+  const line = parseInt(String(value ?? '').replace(/^L/i, ''), 10);
+  return line > 0 ? line : null;
+}
+
+// Final pass over a review split into parts: one summary, and the findings that report the same issue
+export const REVIEW_MERGE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['summary', 'duplicates'],
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'Markdown overview of the whole review. Under 300 words, bullet points and emojis.'
+    },
+    duplicates: {
+      type: 'array',
+      description: 'Groups of finding numbers that report the same issue',
+      items: { type: 'array', items: { type: 'integer' } }
+    }
+  }
+};
+
+/**
+ * Validate a parsed merge response
+ * @param {Object} data - Parsed JSON
+ * @param {number} findingCount - Number of findings listed in the prompt (numbered from 1)
+ * @returns {Object} { summary, duplicates, errors } - duplicates as groups of 0-based finding indexes
+ */
+export function validateReviewMerge(data, findingCount) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { summary: '', duplicates: [], errors: ['The response must be a JSON object'] };
+  }
+
+  const summary = typeof data.summary === 'string' ? data.summary.trim() : '';
+  if (!summary) {
+    errors.push('"summary" must be a non-empty string');
+  }
+
+  const duplicates = readArray(data, 'duplicates', errors)
+    .filter(group => Array.isArray(group))
+    .map(group => [...new Set(group.map(number => parseInt(number, 10) - 1))]
+      .filter(index => index >= 0 && index < findingCount))
+    .filter(group => group.length > 1);
+
+  return { summary, duplicates, errors };
+}
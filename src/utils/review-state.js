@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+
+/**
+ * Review state kept between runs so later pushes can be reviewed incrementally.
+ *
+ * State shape:
+ * { version, headSha, reviewedAt, designDocUrl, designDocUrls, docOverride, docVersions,
+ *   findings: [{ id, severity, category, path, line, endLine, requirement, message,
+ *     status, inline, firstSeenSha, resolvedSha, ignoredBy }],
+ *   requirements: [{ id, text, source, explicit, status, evidence, note, checkedSha }] }
+ *
+ * Finding status is 'open', 'resolved' or 'ignored' (dismissed with `/design-review ignore`).
+ */
+
+export const REVIEW_STATE_VERSION = 1;
+
+// Resolved findings are kept for the comment's "Resolved" section, but not forever
+const MAX_RESOLVED_FINDINGS = 25;
+
+// The state lives in the summary comment, which GitHub limits to 65536 characters: open findings
+// beyond this many (the least severe) are not kept, and messages are shortened
+const MAX_STATE_OPEN_FINDINGS = 50;
+const MAX_STATE_MESSAGE_CHARS = 300;
+const MAX_STATE_CLOSED_MESSAGE_CHARS = 120;
+
+const SEVERITY_ORDER = ['critical', 'warning', 'info'];
+
+/**
+ * Build a stable ID for a finding, so the same issue keeps its ID when lines move
+ * @param {Object} finding - Finding ({ path, message })
+ * @returns {string} Short finding ID
+ */
+export function createFindingId(finding) {
+  const normalizedMessage = String(finding.message || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  return crypto.createHash('sha1')
+    .update(`${finding.path || ''}\n${normalizedMessage}`)
+    .digest('hex')
+    .substring(0, 8);
+}
+
+/**
+ * Merge the findings of a review run with those of earlier reviews
+ * @param {Object[]} previousFindings - Findings from the stored review state
+ * @param {Object[]} newFindings - Findings reported by this run
+ * @param {Object} options - Merge options
+ * @param {string} options.headSha - Commit reviewed by this run
+ * @param {boolean} options.incremental - Whether this run only saw the changes since the last review
+ * @param {string[]} options.resolvedIds - IDs the LLM reported as resolved
+ * @param {string[]} options.unreviewedPaths - Changed files this run did not (fully) review; earlier findings
+ *   on them, and on the PR as a whole when there are any, stay open unless the LLM confirmed them resolved
+ * @returns {Object} Findings that are new, still open from earlier runs, resolved by this run, and all of them for the state
+ */
+export function mergeFindings(previousFindings = [], newFindings = [], { headSha, incremental, resolvedIds = [], unreviewedPaths = [] }) {
+  const previousById = new Map(previousFindings.map(finding => [finding.id, finding]));
+  const reportedIds = new Set();
+  const added = [];
+
+  for (const finding of newFindings) {
+    const id = createFindingId(finding);
+    if (reportedIds.has(id)) {
+      continue;
+    }
+    reportedIds.add(id);
+
+    const previous = previousById.get(id);
+    if (previous?.status === 'ignored') {
+      // Dismissed findings stay dismissed when the LLM reports them again
+      continue;
+    }
+    const repeated = previous?.status === 'open';
+    added.push({
+      ...finding,
+      id,
+      status: 'open',
+      inline: repeated ? previous.inline : undefined,
+      firstSeenSha: repeated ? previous.firstSeenSha : headSha,
+      // Re-reported findings that were already open are not news
+      repeated
+    });
+  }
+
+  const carried = [];
+  const resolved = [];
+  const resolvedSet = new Set(resolvedIds);
+  const unreviewed = new Set(unreviewedPaths);
+
+  for (const finding of previousFindings) {
+    if (finding.status !== 'open' || reportedIds.has(finding.id)) {
+      continue;
+    }
+    // An incremental run only saw part of the PR, so earlier findings stay open unless the
+    // LLM confirmed them resolved; a full review supersedes everything reported before it,
+    // except on the files it left out
+    const seen = !incremental && (finding.path ? !unreviewed.has(finding.path) : unreviewed.size === 0);
+    if (!seen && !resolvedSet.has(finding.id)) {
+      carried.push(finding);
+    } else {
+      resolved.push({ ...finding, status: 'resolved', resolvedSha: headSha });
+    }
+  }
+
+  const ignored = previousFindings.filter(finding => finding.status === 'ignored');
+  const previouslyResolved = previousFindings.filter(finding => finding.status === 'resolved' && !reportedIds.has(finding.id));
+  const all = [
+    ...added.map(({ repeated, ...finding }) => finding),
+    ...carried,
+    ...ignored,
+    ...[...resolved, ...previouslyResolved].slice(0, MAX_RESOLVED_FINDINGS)
+  ];
+
+  return { added, carried, resolved, all };
+}
+
+/**
+ * Keep the findings of earlier reviews as they are, for a run whose review could not be read
+ * @param {Object[]} previousFindings - Findings from the stored review state
+ * @returns {Object} The same shape as mergeFindings: nothing new or resolved, earlier open findings carried
+ */
+export function keepFindings(previousFindings = []) {
+  return {
+    added: [],
+    carried: previousFindings.filter(finding => finding.status === 'open'),
+    resolved: [],
+    all: previousFindings
+  };
+}
+
+/**
+ * Build the state stored after a review. Findings keep only what later runs use: the
+ * suggestions are left out, and closed findings keep just enough to be listed.
+ * @param {string} headSha - Commit that was reviewed
+ * @param {Object[]} findings - All findings (open, resolved and ignored)
+ * @param {Object} details - Review details ({ designDocUrl, designDocUrls, docOverride, docVersions, requirements, promptTemplates })
+ * @returns {Object} Review state
+ */
+export function createReviewState(headSha, findings, {
+  designDocUrl = null,
+  designDocUrls = [],
+  docOverride = null,
+  docVersions = [],
+  requirements = [],
+  promptTemplates = {}
+} = {}) {
+  return {
+    version: REVIEW_STATE_VERSION,
+    headSha,
+    reviewedAt: new Date().toISOString(),
+    designDocUrl,
+    // Every design document the review was made against; designDocUrl is the first
+    designDocUrls,
+    docOverride,
+    // Versions of the design document pages the review was made against ({ pageId, title, version })
+    docVersions,
+    // Prompt templates the review was made with ({ <name>: { source, version, path?, sha? } })
+    promptTemplates,
+    findings: [
+      ...limitOpenFindings(findings.filter(finding => finding.status === 'open')).map(compactOpenFinding),
+      ...findings.filter(finding => finding.status !== 'open').map(compactClosedFinding)
+    ],
+    // Requirements of the design and their traceability, reused while the design is unchanged
+    requirements: requirements.map(({ id, text, source, explicit, status, evidence, note, checkedSha }) => ({
+      id, text, source, explicit, status, evidence, note, checkedSha
+    }))
+  };
+}
+
+/**
+ * Dismiss an open finding
+ * @param {Object} state - Stored review state
+ * @param {string} findingId - ID of the finding to ignore
+ * @param {string} user - Login of the user who ignored it
+ * @returns {Object} Updated review state
+ */
+export function ignoreFinding(state, findingId, user) {
+  const id = String(findingId).toLowerCase();
+  const finding = state.findings.find(f => f.id === id);
+  if (!finding) {
+    throw new Error(`Finding ${findingId} was not found in the latest review`);
+  }
+  if (finding.status !== 'open') {
+    throw new Error(`Finding ${findingId} is already ${finding.status}`);
+  }
+
+  return {
+    ...state,
+    findings: state.findings.map(f => (f.id === id ? { ...f, status: 'ignored', ignoredBy: user } : f))
+  };
+}
+
+/**
+ * Keep the most severe open findings, up to MAX_STATE_OPEN_FINDINGS
+ * @param {Object[]} findings - Open findings
+ * @returns {Object[]} The findings kept, in their original order
+ */
+function limitOpenFindings(findings) {
+  if (findings.length <= MAX_STATE_OPEN_FINDINGS) {
+    return findings;
+  }
+  const rank = finding => {
+    const index = SEVERITY_ORDER.indexOf(finding.severity);
+    return index === -1 ? SEVERITY_ORDER.length : index;
+  };
+  const kept = new Set([...findings].sort((a, b) => rank(a) - rank(b)).slice(0, MAX_STATE_OPEN_FINDINGS));
+  return findings.filter(finding => kept.has(finding));
+}
+
+/**
+ * Reduce an open finding to what later runs use: matching, carrying over and listing it
+ * @param {Object} finding - Open finding
+ * @returns {Object} Stored finding
+ */
+function compactOpenFinding({ id, severity, category, path, line, endLine, requirement, message, status, inline, firstSeenSha }) {
+  return {
+    id, severity, category, path, line, message: shorten(message, MAX_STATE_MESSAGE_CHARS), status, firstSeenSha,
+    ...(endLine && { endLine }),
+    ...(requirement && { requirement }),
+    ...(inline && { inline })
+  };
+}
+
+/**
+ * Reduce a resolved or ignored finding to what its line in the comment shows
+ * @param {Object} finding - Resolved or ignored finding
+ * @returns {Object} Stored finding
+ */
+function compactClosedFinding({ id, severity, path, line, endLine, message, status, firstSeenSha, resolvedSha, ignoredBy }) {
+  return {
+    id, severity, path, line, message: shorten(message, MAX_STATE_CLOSED_MESSAGE_CHARS), status, firstSeenSha,
+    ...(endLine && { endLine }),
+    ...(resolvedSha && { resolvedSha }),
+    ...(ignoredBy && { ignoredBy })
+  };
+}
+
+/**
+ * Shorten a text to a number of characters
+ * @param {string} text - Text
+ * @param {number} maxChars - Longest result
+ * @returns {string} The text, ending in "..." when it was cut
+ */
+function shorten(text, maxChars) {
+  const value = text || '';
+  return value.length > maxChars ? `${value.substring(0, maxChars - 3).trimEnd()}...` : value;
+}
@@ -0,0 +1,71 @@
+/**
+ * Parsing and permission checks for `/design-review` commands in PR comments
+ */
+
+export const COMMAND_PREFIX = '/design-review';
+
+// Marks comments the bot posts in reply to commands, so they are never parsed as commands
+export const COMMAND_REPLY_MARKER = '<!-- design-review:command-reply -->';
+
+const COMMANDS = {
+  rerun: { usage: 'rerun', description: 'Run the design review again', args: 0 },
+  doc: { usage: 'doc <url|path>', description: 'Review against a different design document from now on', args: 1 },
+  ignore: { usage: 'ignore <finding-id>', description: 'Dismiss a finding from the latest review', args: 1 },
+  explain: { usage: 'explain [finding-id]', description: 'Explain a finding (or all open findings) in more detail', args: 0, optionalArgs: 1 },
+  help: { usage: 'help', description: 'Show this list of commands', args: 0 }
+};
+
+// Built-in repository roles from least to most privileged
+export const ROLE_LEVELS = ['read', 'triage', 'write', 'maintain', 'admin'];
+
+/**
+ * Find a `/design-review` command in a comment body
+ * @param {string} body - Comment body
+ * @returns {Object|null} The command ({ name, args }), or null when the comment has none.
+ *   Invalid commands come back as { name: 'help', error }.
+ */
+export function parseSlashCommand(body) {
+  if (typeof body !== 'string' || body.includes(COMMAND_REPLY_MARKER)) {
+    return null;
+  }
+
+  const line = body.split('\n').map(l => l.trim()).find(l => l === COMMAND_PREFIX || l.startsWith(`${COMMAND_PREFIX} `));
+  if (!line) {
+    return null;
+  }
+
+  const [name = 'help', ...args] = line.substring(COMMAND_PREFIX.length).trim().split(/\s+/).filter(Boolean);
+  const command = COMMANDS[name.toLowerCase()];
+  if (!command) {
+    return { name: 'help', args: [], error: `Unknown command \`${name}\`` };
+  }
+
+  const maxArgs = command.args + (command.optionalArgs || 0);
+  if (args.length < command.args || args.length > maxArgs) {
+    return { name: 'help', args: [], error: `Usage: \`${COMMAND_PREFIX} ${command.usage}\`` };
+  }
+
+  return { name: name.toLowerCase(), args };
+}
+
+/**
+ * Check whether a repository role meets the required role
+ * @param {string} role - The user's role ('none', 'read', 'triage', 'write', 'maintain' or 'admin', as from
+ *   GitHubService.getCollaboratorPermission)
+ * @param {string} requiredRole - The minimum role
+ * @returns {boolean} Whether the role is sufficient
+ */
+export function hasRequiredRole(role, requiredRole) {
+  const required = ROLE_LEVELS.indexOf(requiredRole);
+  return ROLE_LEVELS.indexOf(role) >= (required === -1 ? ROLE_LEVELS.indexOf('write') : required);
+}
+
+/**
+ * Render the list of available commands
+ * @returns {string} Markdown list
+ */
+export function formatCommandHelp() {
+  return Object.values(COMMANDS)
+    .map(command => `- \`${COMMAND_PREFIX} ${command.usage}\` - ${command.description}`)
+    .join('\n');
+}
@@ -0,0 +1,246 @@
+/**
+ * Helpers for the single, update-in-place bot comment on a pull request.
+ *
+ * The comment is tagged with a hidden marker so later runs can find it, and
+ * keeps earlier verdicts in a collapsed "previous reviews" section. The
+ * review state (last reviewed commit, findings) is stored in a hidden marker.
+ */
+
+export const BOT_COMMENT_MARKER = '<!-- pr-design-review-bot -->';
+
+const CURRENT_START = /<!-- design-review:current:start(?: (\S+))? -->/;
+const CURRENT_END = '<!-- design-review:current:end -->';
+const HISTORY_START = '<!-- design-review:history:start -->';
+const HISTORY_END = '<!-- design-review:history:end -->';
+const FINDINGS_START = '<!-- design-review:findings:start -->';
+const FINDINGS_END = '<!-- design-review:findings:end -->';
+const STATE_PATTERN = /<!-- design-review:state (\S+) -->/;
+const ENTRY_PATTERN = /<!-- design-review:entry(?: (\S+))? -->\n([\s\S]*?)\n<!-- design-review:entry:end -->/g;
+
+// GitHub rejects comment bodies longer than 65536 characters
+const MAX_COMMENT_LENGTH = 65000;
+const MAX_HISTORY_ENTRIES = 10;
+
+const FINDINGS_CUT_NOTE = '\n\n_The list of findings is cut to fit a GitHub comment; the check run lists every finding on a changed line._';
+const BODY_CUT_NOTE = '\n\n_This review is cut to fit a GitHub comment._';
+
+/**
+ * Check whether a comment body belongs to the bot
+ * @param {string} body - Comment body
+ * @returns {boolean} Whether the body carries the bot marker
+ */
+export function isBotComment(body) {
+  return typeof body === 'string' && body.includes(BOT_COMMENT_MARKER);
+}
+
+/**
+ * Parse a bot comment into its current review, history entries and review state
+ * @param {string} body - Existing comment body
+ * @returns {Object} The current review ({ body, timestamp }), history entries and state (or null)
+ */
+export function parseStickyComment(body) {
+  const result = { current: null, history: [], state: null };
+  if (!isBotComment(body)) {
+    return result;
+  }
+
+  const stateMatch = body.match(STATE_PATTERN);
+  if (stateMatch) {
+    result.state = decodeState(stateMatch[1]);
+  }
+
+  const startMatch = body.match(CURRENT_START);
+  const endIndex = body.indexOf(CURRENT_END);
+  if (startMatch && endIndex > startMatch.index) {
+    result.current = {
+      timestamp: startMatch[1] || null,
+      body: body.substring(startMatch.index + startMatch[0].length, endIndex).trim()
+    };
+  }
+
+  const historyStart = body.indexOf(HISTORY_START);
+  const historyEnd = body.indexOf(HISTORY_END);
+  if (historyStart !== -1 && historyEnd > historyStart) {
+    const historySection = body.substring(historyStart + HISTORY_START.length, historyEnd);
+    for (const match of historySection.matchAll(ENTRY_PATTERN)) {
+      result.history.push({ timestamp: match[1] || null, body: match[2].trim() });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build the bot comment body, moving the previous review into the history section
+ * @param {string} currentBody - The new review body
+ * @param {string|null} previousCommentBody - Body of the existing bot comment, if any
+ * @param {Object} state - Review state to store; undefined keeps the previous comment's state
+ * @returns {string} The full comment body
+ */
+export function buildStickyComment(currentBody, previousCommentBody = null, state = undefined) {
+  const previous = parseStickyComment(previousCommentBody);
+  const history = previous.current ? [previous.current, ...previous.history] : previous.history;
+  const stateMarker = renderStateMarker(state === undefined ? previous.state : state);
+  let entries = history.slice(0, MAX_HISTORY_ENTRIES);
+
+  const timestamp = new Date().toISOString();
+  let comment = renderComment(currentBody, timestamp, entries, stateMarker);
+  while (comment.length > MAX_COMMENT_LENGTH && entries.length > 0) {
+    entries = entries.slice(0, -1);
+    comment = renderComment(currentBody, timestamp, entries, stateMarker);
+  }
+
+  // Without history left to drop, the review itself is shortened: its findings first
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    const fitted = fitReviewBody(currentBody.trim(), currentBody.trim().length - (comment.length - MAX_COMMENT_LENGTH));
+    comment = renderComment(fitted, timestamp, entries, stateMarker);
+  }
+
+  return comment;
+}
+
+/**
+ * Wrap the findings part of a review body so it can be re-rendered later
+ * @param {string} markdown - Rendered findings sections
+ * @returns {string} The sections between findings markers
+ */
+export function wrapFindingsSection(markdown) {
+  return `${FINDINGS_START}\n${markdown}\n${FINDINGS_END}`;
+}
+
+/**
+ * Replace the findings of the current review in place, without adding a history entry
+ * @param {string} commentBody - Body of the existing bot comment
+ * @param {string} markdown - Newly rendered findings sections
+ * @param {Object} state - Review state to store
+ * @returns {string} The updated comment body
+ */
+export function replaceFindingsSection(commentBody, markdown, state) {
+  const startMatch = commentBody.match(CURRENT_START);
+  const currentEnd = commentBody.indexOf(CURRENT_END);
+  if (!startMatch || currentEnd === -1) {
+    throw new Error('The design review comment has no current review to update');
+  }
+
+  // Only look inside the current review - history entries carry their own findings
+  const findingsStart = commentBody.indexOf(FINDINGS_START, startMatch.index);
+  const findingsEnd = commentBody.indexOf(FINDINGS_END, findingsStart);
+  if (findingsStart === -1 || findingsEnd === -1 || findingsEnd > currentEnd) {
+    throw new Error('The current design review has no findings section to update');
+  }
+
+  const render = findings => (commentBody.substring(0, findingsStart) +
+    wrapFindingsSection(findings) +
+    commentBody.substring(findingsEnd + FINDINGS_END.length))
+    // The state marker sits on its own line right below the bot marker
+    .replace(new RegExp(`${STATE_PATTERN.source}\n`), '')
+    .replace(`${BOT_COMMENT_MARKER}\n`, `${BOT_COMMENT_MARKER}\n${renderStateMarker(state)}`);
+
+  const updated = render(markdown);
+  if (updated.length <= MAX_COMMENT_LENGTH) {
+    return updated;
+  }
+  return render(cutText(markdown, markdown.length - (updated.length - MAX_COMMENT_LENGTH), FINDINGS_CUT_NOTE));
+}
+
+/**
+ * Shorten a review body to a length: its findings section first, then the rest of the body
+ * @param {string} body - Review body, with a findings section from wrapFindingsSection
+ * @param {number} maxLength - Longest body
+ * @returns {string} The body, with a note where it was cut
+ */
+function fitReviewBody(body, maxLength) {
+  let fitted = body;
+  const findingsStart = body.indexOf(FINDINGS_START);
+  const findingsEnd = body.indexOf(FINDINGS_END, findingsStart);
+  if (findingsStart !== -1 && findingsEnd !== -1) {
+    const markdown = body.substring(findingsStart + FINDINGS_START.length + 1, findingsEnd - 1);
+    const excess = body.length - maxLength;
+    fitted = body.substring(0, findingsStart) +
+      wrapFindingsSection(cutText(markdown, markdown.length - excess, FINDINGS_CUT_NOTE)) +
+      body.substring(findingsEnd + FINDINGS_END.length);
+  }
+  return fitted.length > maxLength ? cutText(fitted, maxLength, BODY_CUT_NOTE) : fitted;
+}
+
+/**
+ * Cut a Markdown text at a line break so that, with a note appended, it fits a length
+ * @param {string} text - Markdown text
+ * @param {number} maxLength - Longest result, note included
+ * @param {string} note - Note telling the reader the text was cut
+ * @returns {string} The cut text with the note, or the note alone when nothing fits
+ */
+function cutText(text, maxLength, note) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.substring(0, Math.max(0, maxLength - note.length));
+  const lineBreak = cut.lastIndexOf('\n');
+  return `${(lineBreak > 0 ? cut.substring(0, lineBreak) : '').trimEnd()}${note}`.trim();
+}
+
+/**
+ * Render the comment from its parts
+ * @param {string} currentBody - The current review body
+ * @param {string} timestamp - ISO timestamp of the current review
+ * @param {Object[]} entries - Previous reviews, newest first
+ * @param {string} stateMarker - Hidden review state marker (may be empty)
+ * @returns {string} The full comment body
+ */
+function renderComment(currentBody, timestamp, entries, stateMarker) {
+  let comment = `${BOT_COMMENT_MARKER}\n${stateMarker}<!-- design-review:current:start ${timestamp} -->\n${currentBody.trim()}\n${CURRENT_END}\n`;
+
+  if (entries.length > 0) {
+    const renderedEntries = entries.map(entry =>
+      `${renderHistoryHeading(entry)}\n\n<!-- design-review:entry${entry.timestamp ? ` ${entry.timestamp}` : ''} -->\n${entry.body}\n<!-- design-review:entry:end -->`
+    ).join('\n\n---\n\n');
+
+    comment += `
+<details>
+<summary>Previous reviews (${entries.length})</summary>
+
+${HISTORY_START}
+${renderedEntries}
+${HISTORY_END}
+
+</details>
+`;
+  }
+
+  return comment;
+}
+
+/**
+ * Render the heading shown above a previous review
+ * @param {Object} entry - History entry
+ * @returns {string} Markdown heading
+ */
+function renderHistoryHeading(entry) {
+  return entry.timestamp ? `#### Review from ${entry.timestamp}` : '#### Earlier review';
+}
+
+/**
+ * Render the hidden review state marker. The state is base64url encoded so
+ * its contents can never terminate the HTML comment.
+ * @param {Object|null} state - Review state
+ * @returns {string} The marker line, or an empty string without state
+ */
+function renderStateMarker(state) {
+  if (!state) {
+    return '';
+  }
+  return `<!-- design-review:state ${Buffer.from(JSON.stringify(state)).toString('base64url')} -->\n`;
+}
+
+/**
+ * Decode the review state stored in the hidden marker
+ * @param {string} encoded - base64url encoded JSON
+ * @returns {Object|null} Review state, or null if it cannot be read
+ */
+function decodeState(encoded) {
+  try {
+    return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,473 @@
+import { parseDocument } from 'htmlparser2';
+
+/**
+ * Converts Confluence storage format (XHTML with ac:/ri: elements) to Markdown,
+ * keeping the structure the LLM needs: headings, nested and numbered lists,
+ * tables, code blocks, panels, status lozenges and expand sections.
+ */
+
+const PANEL_LABELS = {
+  info: 'Info',
+  note: 'Note',
+  warning: 'Warning',
+  tip: 'Tip',
+  panel: 'Panel'
+};
+
+// Macros that only render navigation or page chrome
+const IGNORED_MACROS = ['toc', 'children', 'anchor', 'recently-updated', 'pagetree', 'livesearch', 'contentbylabel'];
+
+/**
+ * Convert a storage format (or rendered view) body to Markdown
+ * @param {string} storage - Storage format XHTML
+ * @returns {string} Markdown
+ */
+export function storageToMarkdown(storage) {
+  if (!storage || typeof storage !== 'string') {
+    return '';
+  }
+
+  const document = parseDocument(storage, {
+    decodeEntities: true,
+    recognizeCDATA: true,
+    recognizeSelfClosing: true
+  });
+  return tidy(renderChildren(document, {}));
+}
+
+/**
+ * Convert the excerpt of a page (the body of its excerpt macro) to Markdown
+ * @param {string} storage - Storage format XHTML
+ * @returns {string|null} Markdown, or null when the page has no excerpt
+ */
+export function extractExcerpt(storage) {
+  if (!storage || typeof storage !== 'string') {
+    return null;
+  }
+
+  const document = parseDocument(storage, {
+    decodeEntities: true,
+    recognizeCDATA: true,
+    recognizeSelfClosing: true
+  });
+  const excerpt = findDescendant(document, 'ac:structured-macro', node => node.attribs['ac:name'] === 'excerpt');
+  const body = excerpt && findChild(excerpt, 'ac:rich-text-body');
+  return body ? tidy(renderChildren(body, {})) : null;
+}
+
+/**
+ * Render all children of a node
+ * @param {Object} node - DOM node
+ * @param {Object} context - Rendering context ({ preformatted })
+ * @returns {string} Markdown
+ */
+function renderChildren(node, context) {
+  return (node.children || []).map(child => renderNode(child, context)).join('');
+}
+
+/**
+ * Render a single DOM node
+ * @param {Object} node - DOM node
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderNode(node, context) {
+  if (node.type === 'text') {
+    return context.preformatted ? node.data : node.data.replace(/\s+/g, ' ');
+  }
+  if (node.type === 'cdata') {
+    return renderChildren(node, context);
+  }
+  if (node.type !== 'tag') {
+    // Comments, directives, scripts and styles carry no content
+    return '';
+  }
+
+  const heading = node.name.match(/^h([1-6])$/);
+  if (heading) {
+    return block(`${'#'.repeat(parseInt(heading[1], 10))} ${renderChildren(node, context).trim()}`);
+  }
+
+  switch (node.name) {
+    case 'p':
+    case 'div':
+      return block(renderChildren(node, context).trim());
+    case 'br':
+      return '\n';
+    case 'hr':
+      return block('---');
+    case 'strong':
+    case 'b':
+      return wrapInline(renderChildren(node, context), '**');
+    case 'em':
+    case 'i':
+      return wrapInline(renderChildren(node, context), '*');
+    case 's':
+    case 'del':
+      return wrapInline(renderChildren(node, context), '~~');
+    case 'code':
+      return wrapInline(textContent(node), '`');
+    case 'a':
+      return renderAnchor(node, context);
+    case 'img':
+      return `![${node.attribs.alt || ''}](${node.attribs.src || ''})`;
+    case 'ul':
+    case 'ol':
+      return renderList(node, context, node.name === 'ol');
+    case 'table':
+      return renderTable(node, context);
+    case 'pre':
+      return codeBlock(textContent(node), '');
+    case 'blockquote':
+      return block(quote(tidy(renderChildren(node, context))));
+    case 'time':
+      return node.attribs.datetime || renderChildren(node, context);
+    case 'ac:structured-macro':
+    case 'ac:macro':
+      return renderMacro(node, context);
+    case 'ac:task-list':
+      return renderTaskList(node, context);
+    case 'ac:link':
+      return renderConfluenceLink(node, context);
+    case 'ac:image':
+      return renderConfluenceImage(node);
+    case 'ac:emoticon':
+    case 'ac:placeholder':
+    case 'ac:parameter':
+      return '';
+    default:
+      // span, u, sup, thead/tbody outside tables, ac:layout, ac:inline-comment-marker, ...
+      return renderChildren(node, context);
+  }
+}
+
+/**
+ * Render a Confluence macro
+ * @param {Object} node - The ac:structured-macro element
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderMacro(node, context) {
+  const name = node.attribs['ac:name'];
+  const params = getMacroParameters(node);
+  const richBody = findChild(node, 'ac:rich-text-body');
+  const plainBody = findChild(node, 'ac:plain-text-body');
+
+  if (IGNORED_MACROS.includes(name)) {
+    return '';
+  }
+
+  switch (name) {
+    case 'code':
+    case 'noformat': {
+      const code = codeBlock(plainBody ? textContent(plainBody) : '', params.language || '');
+      return params.title ? `${block(`**${params.title}**`)}${code}` : code;
+    }
+    case 'info':
+    case 'note':
+    case 'warning':
+    case 'tip':
+    case 'panel': {
+      const label = name === 'panel' ? (params.title || PANEL_LABELS.panel) : PANEL_LABELS[name];
+      const title = name !== 'panel' && params.title ? `: ${params.title}` : '';
+      const content = richBody ? tidy(renderChildren(richBody, context)) : '';
+      return block(quote(`**${label}${title}**${content ? `\n\n${content}` : ''}`));
+    }
+    case 'status':
+      return params.title ? `**[${params.title.toUpperCase()}]**` : '';
+    case 'expand': {
+      const content = richBody ? tidy(renderChildren(richBody, context)) : '';
+      return `${block(`**${params.title || 'Details'}**`)}${block(content)}`;
+    }
+    case 'jira':
+      return params.key || '';
+    case 'include':
+    case 'excerpt-include': {
+      // The included page is added to the design context as a section of its own
+      const page = findDescendant(node, 'ri:page');
+      const title = page?.attribs['ri:content-title'];
+      return title ? block(`*(${name === 'include' ? 'Includes' : 'Includes the excerpt of'} the page "${title}")*`) : '';
+    }
+    default:
+      // Keep the content of everything else (excerpt, section, column, details, ...)
+      if (richBody) {
+        return block(tidy(renderChildren(richBody, context)));
+      }
+      return plainBody ? codeBlock(textContent(plainBody), '') : '';
+  }
+}
+
+/**
+ * Render a list, indenting nested content under each item
+ * @param {Object} node - The ul or ol element
+ * @param {Object} context - Rendering context
+ * @param {boolean} ordered - Whether the list is numbered
+ * @returns {string} Markdown
+ */
+function renderList(node, context, ordered) {
+  const start = parseInt(node.attribs.start, 10) || 1;
+  const items = childElements(node).filter(child => child.name === 'li');
+
+  const lines = items.map((item, index) => {
+    const marker = ordered ? `${start + index}.` : '-';
+    return listItem(marker, renderChildren(item, context));
+  });
+  return block(lines.join('\n'));
+}
+
+/**
+ * Render a Confluence task list as a Markdown checklist
+ * @param {Object} node - The ac:task-list element
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderTaskList(node, context) {
+  const lines = childElements(node)
+    .filter(child => child.name === 'ac:task')
+    .map(task => {
+      const status = findChild(task, 'ac:task-status');
+      const body = findChild(task, 'ac:task-body');
+      const checked = status && textContent(status).trim() === 'complete';
+      return listItem(checked ? '- [x]' : '- [ ]', body ? renderChildren(body, context) : '');
+    });
+  return block(lines.join('\n'));
+}
+
+/**
+ * Render a table. The first row becomes the header row.
+ * @param {Object} node - The table element
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderTable(node, context) {
+  const rows = collectRows(node).map(row => {
+    const cells = [];
+    for (const cell of childElements(row).filter(child => child.name === 'th' || child.name === 'td')) {
+      const content = tidy(renderChildren(cell, context))
+        .replace(/\n+/g, '<br>')
+        .replace(/\|/g, '\\|');
+      cells.push(content);
+      // Keep the columns aligned for merged cells
+      const colspan = parseInt(cell.attribs.colspan, 10) || 1;
+      for (let i = 1; i < colspan; i++) {
+        cells.push('');
+      }
+    }
+    return cells;
+  }).filter(cells => cells.length > 0);
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columns = Math.max(...rows.map(cells => cells.length));
+  const renderRow = cells => `| ${[...cells, ...Array(columns - cells.length).fill('')].join(' | ')} |`;
+  const [header, ...body] = rows;
+
+  return block([
+    renderRow(header),
+    `| ${Array(columns).fill('---').join(' | ')} |`,
+    ...body.map(renderRow)
+  ].join('\n'));
+}
+
+/**
+ * Collect a table's rows, looking through thead/tbody/tfoot but not into nested tables
+ * @param {Object} node - The table (or section) element
+ * @returns {Object[]} tr elements
+ */
+function collectRows(node) {
+  const rows = [];
+  for (const child of childElements(node)) {
+    if (child.name === 'tr') {
+      rows.push(child);
+    } else if (['thead', 'tbody', 'tfoot'].includes(child.name)) {
+      rows.push(...collectRows(child));
+    }
+  }
+  return rows;
+}
+
+/**
+ * Render an HTML link
+ * @param {Object} node - The a element
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderAnchor(node, context) {
+  const text = renderChildren(node, context).trim();
+  const href = node.attribs.href;
+  if (!href || href.startsWith('#')) {
+    return text;
+  }
+  return text && text !== href ? `[${text}](${href})` : href;
+}
+
+/**
+ * Render a link to a Confluence page, attachment or user
+ * @param {Object} node - The ac:link element
+ * @param {Object} context - Rendering context
+ * @returns {string} Markdown
+ */
+function renderConfluenceLink(node, context) {
+  const body = findChild(node, 'ac:link-body') || findChild(node, 'ac:plain-text-link-body');
+  const text = body ? renderChildren(body, context).trim() : '';
+  const page = findChild(node, 'ri:page');
+  const attachment = findChild(node, 'ri:attachment');
+  const user = findChild(node, 'ri:user');
+
+  if (user) {
+    return text || `@${user.attribs['ri:username'] || user.attribs['ri:userkey'] || user.attribs['ri:account-id'] || 'user'}`;
+  }
+  if (page) {
+    const title = page.attribs['ri:content-title'];
+    return text && title && text !== title ? `${text} (page: ${title})` : (text || title || '');
+  }
+  if (attachment) {
+    return text || attachment.attribs['ri:filename'] || '';
+  }
+  return text;
+}
+
+/**
+ * Render an attached or external image
+ * @param {Object} node - The ac:image element
+ * @returns {string} Markdown
+ */
+function renderConfluenceImage(node) {
+  const attachment = findChild(node, 'ri:attachment');
+  const url = findChild(node, 'ri:url');
+  const source = attachment?.attribs['ri:filename'] || url?.attribs['ri:value'] || '';
+  return source ? `![${node.attribs['ac:alt'] || source}](${source})` : '';
+}
+
+/**
+ * Read the ac:parameter values of a macro
+ * @param {Object} node - The macro element
+ * @returns {Object} Parameter values by name
+ */
+function getMacroParameters(node) {
+  const params = {};
+  for (const child of childElements(node)) {
+    if (child.name === 'ac:parameter') {
+      params[child.attribs['ac:name'] || ''] = textContent(child).trim();
+    }
+  }
+  return params;
+}
+
+/**
+ * Find the first direct child element with the given name
+ * @param {Object} node - Parent node
+ * @param {string} name - Element name
+ * @returns {Object|undefined} The child element
+ */
+function findChild(node, name) {
+  return childElements(node).find(child => child.name === name);
+}
+
+/**
+ * Find the first descendant element with the given name
+ * @param {Object} node - Ancestor node
+ * @param {string} name - Element name
+ * @param {Function} predicate - Optional extra condition
+ * @returns {Object|undefined} The element
+ */
+function findDescendant(node, name, predicate = () => true) {
+  for (const child of childElements(node)) {
+    if (child.name === name && predicate(child)) {
+      return child;
+    }
+    const match = findDescendant(child, name, predicate);
+    if (match) {
+      return match;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the element children of a node
+ * @param {Object} node - Parent node
+ * @returns {Object[]} Child elements
+ */
+function childElements(node) {
+  return (node.children || []).filter(child => child.type === 'tag');
+}
+
+/**
+ * Get the raw text of a node (entities decoded, whitespace kept)
+ * @param {Object} node - DOM node
+ * @returns {string} Text
+ */
+function textContent(node) {
+  if (node.type === 'text') {
+    return node.data;
+  }
+  return (node.children || []).map(textContent).join('');
+}
+
+/**
+ * Wrap inline content in emphasis markers, keeping surrounding whitespace outside
+ * @param {string} content - Rendered inline content
+ * @param {string} marker - Markdown marker
+ * @returns {string} Markdown
+ */
+function wrapInline(content, marker) {
+  const [, leading, inner, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return inner ? `${leading}${marker}${inner}${marker}${trailing}` : content;
+}
+
+/**
+ * Render a list item, indenting its continuation lines under the marker
+ * @param {string} marker - List marker ("-", "1." or "- [ ]")
+ * @param {string} content - Rendered item content
+ * @returns {string} Markdown
+ */
+function listItem(marker, content) {
+  // Keep list items tight - blank lines would split nested lists from their parent item
+  const body = tidy(content).replace(/\n{2,}/g, '\n');
+  const indent = ' '.repeat(marker.replace(/ \[.\]$/, '').length + 1);
+  return `${marker} ${body.split('\n').join(`\n${indent}`)}`;
+}
+
+/**
+ * Render a fenced code block
+ * @param {string} code - Code
+ * @param {string} language - Language hint
+ * @returns {string} Markdown
+ */
+function codeBlock(code, language) {
+  const fence = code.includes('```') ? '~~~' : '```';
+  return block(`${fence}${language}\n${code.replace(/^\n+|\n+$/g, '')}\n${fence}`);
+}
+
+/**
+ * Prefix every line with a blockquote marker
+ * @param {string} content - Markdown
+ * @returns {string} Quoted Markdown
+ */
+function quote(content) {
+  return content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+/**
+ * Surround block content with blank lines
+ * @param {string} content - Markdown
+ * @returns {string} Block Markdown (empty for empty content)
+ */
+function block(content) {
+  return content ? `\n\n${content}\n\n` : '';
+}
+
+/**
+ * Normalize blank lines and trailing whitespace
+ * @param {string} markdown - Markdown
+ * @returns {string} Tidied Markdown
+ */
+function tidy(markdown) {
+  return markdown
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+}
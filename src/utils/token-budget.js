@@ -0,0 +1,64 @@
+/**
+ * Token estimates for prompts, so a review fits the model's context window.
+ * Counts are estimated from the text length; the ratio is conservative for code and Markdown.
+ */
+
+// Context window and characters per token by model family; the first match wins
+const MODEL_LIMITS = [
+  { pattern: /^gpt-4\.1/i, contextTokens: 1047576, charsPerToken: 4 },
+  { pattern: /^gpt-5/i, contextTokens: 400000, charsPerToken: 4 },
+  { pattern: /^(gpt-4o|o\d)/i, contextTokens: 128000, charsPerToken: 4 },
+  { pattern: /^gpt-4-(turbo|1106|0125)/i, contextTokens: 128000, charsPerToken: 3.5 },
+  { pattern: /^gpt-4-32k/i, contextTokens: 32768, charsPerToken: 3.5 },
+  { pattern: /^gpt-4/i, contextTokens: 8192, charsPerToken: 3.5 },
+  { pattern: /^gpt-3\.5/i, contextTokens: 16385, charsPerToken: 3.5 },
+  { pattern: /^claude/i, contextTokens: 200000, charsPerToken: 3.2 }
+];
+
+// Unknown and local models; Ollama's own default context is small, so LLM_CONTEXT_TOKENS should match num_ctx
+const DEFAULT_LIMITS = { contextTokens: 8192, charsPerToken: 3.2 };
+
+const TRUNCATION_MARKER = '\n... (truncated to fit the model context)';
+
+/**
+ * Get the context window and token ratio of a model
+ * @param {string} model - Model name
+ * @param {number|null} contextTokens - Context window set with LLM_CONTEXT_TOKENS, overriding the known one
+ * @returns {Object} { contextTokens, charsPerToken }
+ */
+export function getModelLimits(model, contextTokens = null) {
+  const known = MODEL_LIMITS.find(entry => entry.pattern.test(model || '')) || DEFAULT_LIMITS;
+  return {
+    contextTokens: contextTokens || known.contextTokens,
+    charsPerToken: known.charsPerToken
+  };
+}
+
+/**
+ * Estimate the tokens of a text
+ * @param {string} text - Prompt text
+ * @param {Object} limits - Model limits from getModelLimits
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text, limits) {
+  return Math.ceil((text || '').length / limits.charsPerToken);
+}
+
+/**
+ * Cut a text to an estimated token count, at a line break where possible
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Token budget
+ * @param {Object} limits - Model limits from getModelLimits
+ * @returns {string} The text, with a truncation marker when it was cut
+ */
+export function truncateToTokens(text, maxTokens, limits) {
+  const budgetChars = Math.floor(maxTokens * limits.charsPerToken);
+  if ((text || '').length <= budgetChars) {
+    return text || '';
+  }
+  // The marker counts against the budget too
+  const maxChars = Math.max(0, budgetChars - TRUNCATION_MARKER.length);
+  const cut = text.substring(0, maxChars);
+  const lineBreak = cut.lastIndexOf('\n');
+  return `${lineBreak > maxChars / 2 ? cut.substring(0, lineBreak) : cut}${TRUNCATION_MARKER}`;
+}
@@ -1,8 +1,12 @@
 import express from 'express';
 import crypto from 'crypto';
 import { PRReviewer } from './pr-reviewer.js';
+import { PRCommandHandler } from './pr-commands.js';
 import { logger } from './utils/logger.js';
 import { config } from './config/index.js';
+import { isRepoAllowed } from './utils/repo-ref.js';
+import { extractIssueKeys } from './utils/issue-keys.js';
+import { DocumentProviderRegistry } from './services/document-providers/index.js';
 
 /**
  * GitHub Webhook Server for automated PR reviews
@@ -11,6 +15,9 @@ export class WebhookServer {
   constructor() {
     this.app = express();
     this.prReviewer = null;
+    this.commandHandler = null;
+    // Only recognizes references (repository paths, GitHub URLs); documents are read by the PR reviewer
+    this.documentReferences = new DocumentProviderRegistry({ githubService: null, confluenceService: null });
     this.setupMiddleware();
     this.setupRoutes();
   }
@@ -226,6 +233,10 @@ export class WebhookServer {
         await this.handlePullRequestReviewEvent(payload, res);
         break;
 
+      case 'issue_comment':
+        await this.handleIssueCommentEvent(payload, res);
+        break;
+
       case 'ping':
         logger.info('Webhook ping received');
         res.json({ message: 'pong', timestamp: new Date().toISOString() });
@@ -247,9 +258,20 @@ export class WebhookServer {
     const action = payload.action;
     const prNumber = payload.number; // GitHub webhook puts PR number at top level
     const repoName = payload.repository?.full_name;
+    const repoRef = this.getRepoRef(payload);
 
     logger.info(`PR ${action}: #${prNumber} in ${repoName}`);
 
+    if (!repoRef) {
+      logger.warn('Pull request event without repository information - ignoring');
+      return res.status(400).json({ error: 'Payload is missing repository information' });
+    }
+
+    if (!isRepoAllowed(repoRef)) {
+      logger.info(`Repository ${repoName} is not in the allowlist - ignoring`);
+      return res.json({ message: `Repository ${repoName} is not enabled for design reviews` });
+    }
+
     // Only process certain actions
     const reviewableActions = ['opened', 'synchronize', 'edited'];
     
@@ -258,15 +280,19 @@ export class WebhookServer {
       return res.json({ message: `PR action ${action} ignored` });
     }
 
-    // Check if PR description contains design document URL
+    // Check if PR description contains design document URL, or the PR references a Jira issue that may link one
     const prBody = payload.pull_request?.body || '';
-    const hasDesignDoc = this.checkForDesignDocumentUrl(prBody);
+    const hasDesignDoc = this.checkForDesignDocumentUrl(prBody) || this.checkForIssueKeys(payload.pull_request);
 
-    if (!hasDesignDoc) {
+    // A document set with `/design-review doc` also counts as linked (a new PR cannot have one yet)
+    const hasDocOverride = !hasDesignDoc && action !== 'opened' && await this.hasDocumentOverride(repoRef, prNumber);
+    if (!hasDesignDoc && !hasDocOverride) {
       logger.info(`PR #${prNumber} has no design document URL - skipping review`);
       return res.json({ 
         message: `PR #${prNumber} skipped - no design document URL found`,
-        hint: 'Add confluence_design_document_url to PR description to trigger review'
+        hint: config.jira.enabled
+          ? 'Add confluence_design_document_url or design_doc_path to PR description, or reference a Jira issue with a linked design page, to trigger review'
+          : 'Add confluence_design_document_url or design_doc_path to PR description to trigger review'
       });
     }
 
@@ -275,13 +301,14 @@ export class WebhookServer {
       await this.initializePRReviewer();
       
       logger.info(`Starting automated review for PR #${prNumber}...`);
-      const result = await this.prReviewer.reviewPR(prNumber);
+      const result = await this.prReviewer.reviewPR(prNumber, repoRef);
 
       if (result.success) {
         logger.info(`✅ Successfully reviewed PR #${prNumber}`);
         res.json({
-          message: `PR #${prNumber} reviewed successfully`,
+          message: `PR #${prNumber} in ${repoName} reviewed successfully`,
           designDocUrl: result.designDocUrl,
+          designDocUrls: result.designDocUrls,
           timestamp: new Date().toISOString()
         });
       } else {
@@ -303,6 +330,71 @@ export class WebhookServer {
     }
   }
 
+  /**
+   * Handle issue comment events - runs `/design-review` commands posted on PRs
+   * @param {Object} payload - GitHub webhook payload
+   * @param {Object} res - Express response object
+   */
+  async handleIssueCommentEvent(payload, res) {
+    const prNumber = payload.issue?.number;
+    const repoName = payload.repository?.full_name;
+    const repoRef = this.getRepoRef(payload);
+
+    if (payload.action !== 'created') {
+      return res.json({ message: `Comment action ${payload.action} ignored` });
+    }
+    if (!payload.issue?.pull_request) {
+      return res.json({ message: 'Comment is not on a pull request - ignored' });
+    }
+    if (payload.comment?.user?.type === 'Bot') {
+      return res.json({ message: 'Comment from a bot - ignored' });
+    }
+    if (!repoRef) {
+      logger.warn('Issue comment event without repository information - ignoring');
+      return res.status(400).json({ error: 'Payload is missing repository information' });
+    }
+    if (!isRepoAllowed(repoRef)) {
+      logger.info(`Repository ${repoName} is not in the allowlist - ignoring`);
+      return res.json({ message: `Repository ${repoName} is not enabled for design reviews` });
+    }
+
+    try {
+      await this.initializePRReviewer();
+      const result = await this.commandHandler.handleComment(repoRef, prNumber, payload.comment);
+
+      res.json({
+        message: result.message,
+        command: result.command,
+        handled: result.handled,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to handle comment on PR #${prNumber}:`, error);
+      res.status(500).json({
+        error: `Failed to handle comment on PR #${prNumber}`,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Check whether a design document was set on the PR with `/design-review doc`
+   * @param {Object} repoRef - Repository reference ({ owner, repo })
+   * @param {number} prNumber - The pull request number
+   * @returns {boolean} Whether the stored review state has a document override
+   */
+  async hasDocumentOverride(repoRef, prNumber) {
+    try {
+      await this.initializePRReviewer();
+      const state = await this.prReviewer.getPreviousReviewState(repoRef, prNumber);
+      return Boolean(state?.docOverride);
+    } catch (error) {
+      logger.warn(`Could not read the review state of PR #${prNumber}: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Handle pull request review events (for potential future use)
    * @param {Object} payload - GitHub webhook payload
@@ -314,19 +406,59 @@ export class WebhookServer {
   }
 
   /**
-   * Check if PR body contains design document URL
+   * Build a repository reference from a webhook payload
+   * @param {Object} payload - GitHub webhook payload
+   * @returns {Object|null} Repository reference ({ owner, repo, installationId })
+   */
+  getRepoRef(payload) {
+    const repository = payload.repository;
+    const owner = repository?.owner?.login;
+    const repo = repository?.name;
+    if (!owner || !repo) {
+      return null;
+    }
+    // Present when the event was delivered to a GitHub App installation
+    const installationId = payload.installation?.id;
+    return installationId ? { owner, repo, installationId } : { owner, repo };
+  }
+
+  /**
+   * Check if PR body contains a design document URL or repository path, as
+   * GitHubService.extractDesignDocumentUrls reads them: prose after a key does not count
    * @param {string} prBody - PR description
    * @returns {boolean} Whether design doc URL is found
    */
   checkForDesignDocumentUrl(prBody) {
     const patterns = [
-      /confluence_design_document_url[:\s]*([^\s\n]+)/i,
-      /confluence[_\s]*design[_\s]*document[_\s]*url[:\s]*([^\s\n]+)/i,
-      /design[_\s]*document[_\s]*url[:\s]*([^\s\n]+)/i,
-      /confluence[_\s]*url[:\s]*([^\s\n]+)/i
+      /confluence_design_document_url[:\s]*([^\s\n]+)/gi,
+      /confluence[_\s]*design[_\s]*document[_\s]*url[:\s]*([^\s\n]+)/gi,
+      /design[_\s]*document[_\s]*url[:\s]*([^\s\n]+)/gi,
+      /confluence[_\s]*url[:\s]*([^\s\n]+)/gi,
+      /design[_\s]*doc(?:ument)?[_\s]*path[:\s]*([^\s\n]+)/gi
     ];
 
-    return patterns.some(pattern => pattern.test(prBody));
+    return patterns.some(pattern => [...prBody.matchAll(pattern)].some(match => {
+      const reference = match[1].trim().replace(/^<|>$/g, '').replace(/^`|`$/g, '');
+      return /^https?:\/\//i.test(reference) || this.documentReferences.supports(reference);
+    }));
+  }
+
+  /**
+   * Check if the PR title, branch or description references a Jira issue (when Jira is enabled).
+   * Only keys of the JIRA_PROJECT_KEYS projects count: without them, text such as "AB-12"
+   * would trigger reviews of unrelated PRs.
+   * @param {Object} pullRequest - Pull request from the webhook payload
+   * @returns {boolean} Whether an issue key of a listed project is found
+   */
+  checkForIssueKeys(pullRequest) {
+    if (!config.jira.enabled || config.jira.projectKeys.length === 0 || !pullRequest) {
+      return false;
+    }
+    const keys = extractIssueKeys(
+      { title: pullRequest.title, branch: pullRequest.head?.ref, body: pullRequest.body },
+      { projectKeys: config.jira.projectKeys }
+    );
+    return keys.length > 0;
   }
 
   /**
@@ -337,6 +469,7 @@ export class WebhookServer {
       logger.info('Initializing PR Reviewer...');
       this.prReviewer = new PRReviewer();
       await this.prReviewer.initialize();
+      this.commandHandler = new PRCommandHandler(this.prReviewer);
     }
   }
 